@@ -0,0 +1,400 @@
+import { Component } from '@theme/component';
+import { cartStore, CartError, GROUP_ID_PROPERTY, GROUP_NAME_PROPERTY, createGroupId } from '@theme/cart-store';
+import { formatCents } from '@theme/utilities';
+
+/**
+ * How long the added message stays announced.
+ */
+const SUCCESS_MESSAGE_DISPLAY_DURATION = 5000;
+
+/**
+ * @typedef {object} Pick
+ * @property {string} variantId - The variant id
+ * @property {string} title - The title shown in the summary
+ * @property {number} price - The unit price in cents
+ * @property {number} quantity - The quantity
+ */
+
+/**
+ * @typedef {object} Refs
+ * @property {HTMLFormElement} form - The builder form
+ * @property {HTMLFieldSetElement[]} steps - The steps, in order
+ * @property {HTMLButtonElement[]} [stepButtons] - The buttons of the progress indicator
+ * @property {HTMLButtonElement} backButton - Goes to the previous step
+ * @property {HTMLButtonElement} nextButton - Goes to the next step
+ * @property {HTMLButtonElement} addButton - Adds the arrangement to the cart
+ * @property {HTMLElement} stemCount - The number of stems picked
+ * @property {HTMLUListElement} summaryList - The picks
+ * @property {HTMLElement} total - The price of the arrangement
+ * @property {HTMLElement} error - The validation or cart error
+ * @property {HTMLElement} [liveRegion] - Live region for screen reader announcements
+ */
+
+/**
+ * A multi-step builder for build-your-own arrangements.
+ *
+ * The shopper picks a base size, stems, a vase and add-ons. Every pick is added to the cart in a single
+ * `/cart/add.js` request, with the same group id property so the cart shows them as one arrangement.
+ *
+ * @extends {Component<Refs>}
+ */
+class ArrangementBuilderComponent extends Component {
+  requiredRefs = [
+    'form',
+    'steps',
+    'backButton',
+    'nextButton',
+    'addButton',
+    'stemCount',
+    'summaryList',
+    'total',
+    'error',
+  ];
+
+  /**
+   * The index of the current step
+   */
+  #step = 0;
+
+  /** @type {number | undefined} */
+  #announcementTimeout;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#showStep(0);
+    this.update();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    clearTimeout(this.#announcementTimeout);
+  }
+
+  /**
+   * The stem limits of the base size, or of the section when the base doesn't set its own.
+   * @returns {{ min: number, max: number }}
+   */
+  get stemLimits() {
+    const base = this.#getCheckedInput('base');
+    const min = Number(base?.dataset.minStems || this.dataset.minStems) || 0;
+    const max = Number(base?.dataset.maxStems || this.dataset.maxStems) || Infinity;
+
+    return { min, max: Math.max(min, max) };
+  }
+
+  /**
+   * Goes to the next step once the current one is valid.
+   */
+  nextStep() {
+    if (!this.#validateStep(this.#step)) return;
+
+    this.#showStep(this.#step + 1);
+  }
+
+  /**
+   * Goes back to the previous step.
+   */
+  previousStep() {
+    this.#showStep(this.#step - 1);
+  }
+
+  /**
+   * Goes to a step of the progress indicator. Going forward requires the steps before it to be valid.
+   * @param {number} index
+   */
+  goToStep(index) {
+    for (let step = 0; step < index; step++) {
+      if (!this.#validateStep(step)) {
+        this.#showStep(step);
+        return;
+      }
+    }
+
+    this.#showStep(index);
+  }
+
+  /**
+   * Adds a stem of the option the event was triggered from.
+   * @param {Event} event
+   */
+  increaseStems(event) {
+    const input = this.#getQuantityInput(event);
+    if (!input) return;
+
+    const { max } = this.stemLimits;
+
+    if (this.#getStemCount() >= max) {
+      this.#showError(this.#getStemsError());
+      return;
+    }
+
+    input.value = String(Number(input.value) + 1);
+    this.update();
+  }
+
+  /**
+   * Removes a stem of the option the event was triggered from.
+   * @param {Event} event
+   */
+  decreaseStems(event) {
+    const input = this.#getQuantityInput(event);
+    if (!input) return;
+
+    input.value = String(Math.max(Number(input.value) - 1, 0));
+    this.update();
+  }
+
+  /**
+   * Renders the stem count, the summary and the running total.
+   */
+  update() {
+    const { stemCount, summaryList, total } = this.refs;
+    const { min, max } = this.stemLimits;
+    const picks = this.#getPicks();
+    const { moneyFormat = '{{amount}}' } = this.dataset;
+
+    for (const input of this.#getInputs('stems')) {
+      input.value = String(Math.max(Math.floor(Number(input.value)) || 0, 0));
+      input.max = String(max);
+    }
+
+    const template = stemCount.dataset.template ?? '';
+    stemCount.textContent = template
+      .replace('[count]', String(this.#getStemCount()))
+      .replace('[min]', String(min))
+      .replace('[max]', String(max));
+
+    if (picks.length) {
+      summaryList.replaceChildren(
+        ...picks.map(({ title, price, quantity }) => {
+          const item = document.createElement('li');
+          const name = document.createElement('span');
+          const amount = document.createElement('span');
+
+          name.textContent = quantity > 1 ? `${title} × ${quantity}` : title;
+          amount.textContent = formatCents(price * quantity, moneyFormat);
+          item.append(name, amount);
+
+          return item;
+        })
+      );
+    } else {
+      const item = document.createElement('li');
+      item.textContent = summaryList.dataset.empty ?? '';
+      summaryList.replaceChildren(item);
+    }
+
+    total.textContent = formatCents(
+      picks.reduce((sum, { price, quantity }) => sum + price * quantity, 0),
+      moneyFormat
+    );
+
+    if (!this.refs.error.hidden && this.#validateStep(this.#step, false)) this.#showError('');
+  }
+
+  /**
+   * Adds the arrangement to the cart.
+   * @param {SubmitEvent} event
+   */
+  async addToCart(event) {
+    event.preventDefault();
+
+    for (let step = 0; step < this.refs.steps.length; step++) {
+      if (!this.#validateStep(step)) {
+        this.#showStep(step);
+        return;
+      }
+    }
+
+    const { addButton } = this.refs;
+    const groupId = createGroupId();
+    const groupName = this.dataset.groupName ?? '';
+
+    const items = this.#getPicks().map(({ variantId, quantity }) => ({
+      id: variantId,
+      quantity,
+      properties: { [GROUP_ID_PROPERTY]: groupId, [GROUP_NAME_PROPERTY]: groupName },
+    }));
+
+    /** @type {string[]} */
+    const sections = [];
+    document.querySelectorAll('cart-items-component').forEach((element) => {
+      if (element instanceof HTMLElement && element.dataset.sectionId) sections.push(element.dataset.sectionId);
+    });
+
+    addButton.disabled = true;
+
+    try {
+      await cartStore.add(items, {
+        sourceId: this.id || groupId,
+        sections,
+        data: { source: 'arrangement-builder-component', groupId },
+      });
+
+      this.#announce(this.dataset.addedText ?? '');
+    } catch (error) {
+      if (!(error instanceof CartError)) {
+        console.error(error);
+        return;
+      }
+
+      this.#showError(error.description || error.message);
+    } finally {
+      addButton.disabled = false;
+    }
+  }
+
+  /**
+   * @param {number} index
+   */
+  #showStep(index) {
+    const { steps, stepButtons = [], backButton, nextButton, addButton } = this.refs;
+    const step = Math.min(Math.max(index, 0), steps.length - 1);
+    const isLast = step === steps.length - 1;
+    const hasChanged = step !== this.#step;
+
+    this.#step = step;
+
+    steps.forEach((fieldset, i) => (fieldset.hidden = i !== step));
+    stepButtons.forEach((button, i) => {
+      if (i === step) {
+        button.setAttribute('aria-current', 'step');
+      } else {
+        button.removeAttribute('aria-current');
+      }
+    });
+
+    backButton.hidden = step === 0;
+    nextButton.hidden = isLast;
+    addButton.hidden = !isLast;
+
+    this.#showError('');
+
+    if (hasChanged) steps[step]?.querySelector('legend')?.focus({ preventScroll: true });
+  }
+
+  /**
+   * @param {number} index - The index of the step
+   * @param {boolean} [report] - Whether to show the error of an invalid step
+   * @returns {boolean}
+   */
+  #validateStep(index, report = true) {
+    let error = '';
+
+    switch (this.refs.steps[index]?.dataset.step) {
+      case 'base':
+        if (!this.#getCheckedInput('base')) error = this.dataset.baseError ?? '';
+        break;
+      case 'stems': {
+        const { min, max } = this.stemLimits;
+        const count = this.#getStemCount();
+
+        if (count < min || count > max) error = this.#getStemsError();
+        break;
+      }
+    }
+
+    if (report) this.#showError(error);
+
+    return !error;
+  }
+
+  /**
+   * @returns {string}
+   */
+  #getStemsError() {
+    const { min, max } = this.stemLimits;
+
+    return (this.dataset.stemsError ?? '').replace('[min]', String(min)).replace('[max]', String(max));
+  }
+
+  /**
+   * @param {string} message - The message to show, or an empty string to hide it
+   */
+  #showError(message) {
+    const { error } = this.refs;
+
+    error.textContent = message;
+    error.hidden = !message;
+  }
+
+  /**
+   * @param {string} message
+   */
+  #announce(message) {
+    const { liveRegion } = this.refs;
+    if (!liveRegion) return;
+
+    liveRegion.textContent = message;
+
+    clearTimeout(this.#announcementTimeout);
+    this.#announcementTimeout = setTimeout(() => {
+      liveRegion.textContent = '';
+    }, SUCCESS_MESSAGE_DISPLAY_DURATION);
+  }
+
+  /**
+   * @param {string} name
+   * @returns {HTMLInputElement[]}
+   */
+  #getInputs(name) {
+    return [...this.refs.form.querySelectorAll(`input[name="${name}"]`)].filter(
+      (input) => input instanceof HTMLInputElement
+    );
+  }
+
+  /**
+   * @param {string} name
+   * @returns {HTMLInputElement | undefined}
+   */
+  #getCheckedInput(name) {
+    return this.#getInputs(name).find((input) => input.checked && !input.disabled);
+  }
+
+  /**
+   * @param {Event} event
+   * @returns {HTMLInputElement | undefined}
+   */
+  #getQuantityInput(event) {
+    if (!(event.target instanceof Element)) return;
+
+    const input = event.target.closest('[data-option]')?.querySelector('input[name="stems"]');
+
+    return input instanceof HTMLInputElement && !input.disabled ? input : undefined;
+  }
+
+  /**
+   * @returns {number}
+   */
+  #getStemCount() {
+    return this.#getInputs('stems').reduce((count, input) => count + (Number(input.value) || 0), 0);
+  }
+
+  /**
+   * The picks of every step, in order.
+   * @returns {Pick[]}
+   */
+  #getPicks() {
+    const inputs = [
+      ...this.#getInputs('base').filter((input) => input.checked),
+      ...this.#getInputs('stems').filter((input) => Number(input.value) > 0),
+      ...this.#getInputs('vase').filter((input) => input.checked),
+      ...this.#getInputs('add_ons').filter((input) => input.checked),
+    ];
+
+    return inputs
+      .filter((input) => !input.disabled && input.dataset.variantId)
+      .map((input) => ({
+        variantId: input.dataset.variantId ?? '',
+        title: input.dataset.title ?? '',
+        price: Number(input.dataset.price) || 0,
+        quantity: input.name === 'stems' ? Number(input.value) : 1,
+      }));
+  }
+}
+
+if (!customElements.get('arrangement-builder-component')) {
+  customElements.define('arrangement-builder-component', ArrangementBuilderComponent);
+}
@@ -0,0 +1,197 @@
+import { Component } from '@theme/component';
+import { ThemeEvents, VariantUpdateEvent } from '@theme/events';
+
+/**
+ * Remembers the variants the shopper signed up for, so the signup shows they'll be notified.
+ */
+export class BackInStockSignups {
+  /** @static @constant {string} The key used to store the signups in local storage */
+  static #STORAGE_KEY = 'theme:back-in-stock';
+
+  /** @static @constant {number} The most signups remembered, oldest are forgotten first */
+  static #MAX_SIGNUPS = 50;
+
+  /**
+   * Retrieves the ids of the variants signed up for, most recent first.
+   * @returns {string[]}
+   */
+  static getVariantIds() {
+    try {
+      const variantIds = JSON.parse(localStorage.getItem(this.#STORAGE_KEY) || '[]');
+
+      return Array.isArray(variantIds) ? variantIds.map(String) : [];
+    } catch (_) {
+      return [];
+    }
+  }
+
+  /**
+   * @param {string} variantId
+   * @returns {boolean}
+   */
+  static has(variantId) {
+    return this.getVariantIds().includes(variantId);
+  }
+
+  /**
+   * @param {string} variantId
+   */
+  static add(variantId) {
+    const variantIds = [variantId, ...this.getVariantIds().filter((id) => id !== variantId)];
+
+    try {
+      localStorage.setItem(this.#STORAGE_KEY, JSON.stringify(variantIds.slice(0, this.#MAX_SIGNUPS)));
+    } catch (_) {
+      // Storage may be full or disabled
+    }
+  }
+}
+
+/**
+ * A custom element that signs the shopper up to hear when the selected variant is back in stock.
+ *
+ * It's only shown while the selected variant is sold out, following the variant updates of its section. The signup
+ * is posted to the contact form endpoint, so it arrives as a contact submission tagged `back-in-stock`.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} signup - The description and the fields of the signup
+ * @property {HTMLInputElement} email - The email input
+ * @property {HTMLInputElement} variantId - The id of the variant signed up for
+ * @property {HTMLInputElement} variantTitle - The title of the variant signed up for
+ * @property {HTMLButtonElement} submitButton - Submits the signup
+ * @property {HTMLElement} error - The error of the last signup
+ * @property {HTMLElement} notified - Shown once the shopper signed up for the variant
+ *
+ * @extends {Component<Refs>}
+ */
+class BackInStockComponent extends Component {
+  requiredRefs = ['signup', 'email', 'variantId', 'variantTitle', 'submitButton', 'error', 'notified'];
+
+  #controller = new AbortController();
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    const { signal } = this.#controller;
+    const target = this.closest('.shopify-section, dialog');
+
+    target?.addEventListener(ThemeEvents.variantUpdate, this.#handleVariantUpdate, { signal });
+    this.addEventListener('submit', this.#handleSubmit, { signal });
+
+    this.#renderNotified();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#controller.abort();
+  }
+
+  /**
+   * Shows the signup for sold out variants.
+   * @param {VariantUpdateEvent} event
+   */
+  #handleVariantUpdate = (event) => {
+    if (event.detail.data.newProduct) {
+      this.dataset.productId = event.detail.data.newProduct.id;
+    } else if (event.detail.data.productId !== this.dataset.productId) {
+      return;
+    }
+
+    const variant = event.detail.resource;
+
+    // Without a variant there is nothing to restock
+    this.hidden = !variant || variant.available;
+    if (!variant) return;
+
+    const { variantId, variantTitle } = this.refs;
+    const { title = '' } = /** @type {{ title?: string }} */ (variant);
+
+    this.dataset.variantId = variant.id;
+    variantId.value = variant.id;
+    variantTitle.value = title;
+
+    this.#showError('');
+    this.#renderNotified();
+  };
+
+  /**
+   * @param {SubmitEvent} event
+   */
+  #handleSubmit = async (event) => {
+    event.preventDefault();
+
+    const form = event.target;
+    if (!(form instanceof HTMLFormElement)) return;
+
+    const { email, submitButton } = this.refs;
+
+    if (!email.value.trim() || !email.checkValidity()) {
+      this.#showError(email.validationMessage);
+      email.focus();
+      return;
+    }
+
+    submitButton.disabled = true;
+    submitButton.setAttribute('aria-busy', 'true');
+    this.#showError('');
+
+    try {
+      const response = await fetch(form.action, { method: 'POST', body: new FormData(form) });
+      const { pathname, searchParams } = new URL(response.url);
+
+      // Spam protection may ask for a challenge, let the browser take the shopper through it
+      if (pathname.startsWith('/challenge')) {
+        form.submit();
+        return;
+      }
+
+      // Successful submissions redirect with the posted flag, failed ones render the form errors
+      if (!response.ok || searchParams.get('contact_posted') !== 'true') {
+        throw new Error(`Back in stock signup failed with status ${response.status}`);
+      }
+
+      BackInStockSignups.add(this.dataset.variantId ?? '');
+      this.#renderNotified();
+      this.refs.notified.focus();
+    } catch (error) {
+      console.error(error);
+      this.#showError(this.dataset.errorText ?? '');
+      email.focus();
+    } finally {
+      submitButton.disabled = false;
+      submitButton.removeAttribute('aria-busy');
+    }
+  };
+
+  /**
+   * Shows that the shopper will be notified when they signed up for the variant.
+   */
+  #renderNotified() {
+    const { signup, notified } = this.refs;
+    const isNotified = !!this.dataset.variantId && BackInStockSignups.has(this.dataset.variantId);
+
+    signup.hidden = isNotified;
+    notified.hidden = !isNotified;
+  }
+
+  /**
+   * @param {string} message - The message to show, or an empty string to hide it
+   */
+  #showError(message) {
+    const { error, email } = this.refs;
+
+    error.textContent = message;
+    error.hidden = !message;
+
+    if (message) {
+      email.setAttribute('aria-invalid', 'true');
+    } else {
+      email.removeAttribute('aria-invalid');
+    }
+  }
+}
+
+if (!customElements.get('back-in-stock-component')) {
+  customElements.define('back-in-stock-component', BackInStockComponent);
+}
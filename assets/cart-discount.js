@@ -0,0 +1,221 @@
+import { Component } from '@theme/component';
+import { DiscountUpdateEvent } from '@theme/events';
+import { cartStore, CartError } from '@theme/cart-store';
+
+/**
+ * @typedef {import('@theme/cart-store').Cart} Cart
+ */
+
+/**
+ * How long the applied message stays announced.
+ */
+const SUCCESS_MESSAGE_DISPLAY_DURATION = 5000;
+
+/**
+ * A custom element that applies discount codes to the cart and removes them.
+ *
+ * The codes are sent through the cart update API along with the cart sections, which re-render the prices
+ * and the pills of the applied codes. A `DiscountUpdateEvent` follows every change of the codes.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLInputElement} input - The discount code input
+ * @property {HTMLButtonElement} applyButton - Applies the code of the input
+ * @property {HTMLElement} error - The error of the last change
+ * @property {HTMLElement} liveRegion - Live region for screen reader announcements
+ *
+ * @extends {Component<Refs>}
+ */
+class CartDiscountComponent extends Component {
+  requiredRefs = ['input', 'applyButton', 'error', 'liveRegion'];
+
+  /** @type {number | undefined} */
+  #announcementTimeout;
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    clearTimeout(this.#announcementTimeout);
+  }
+
+  /**
+   * Applies the code of the input, keeping the codes already applied.
+   * @param {SubmitEvent} event
+   */
+  async applyDiscount(event) {
+    event.preventDefault();
+
+    const { input, applyButton } = this.refs;
+    const code = input.value.trim();
+
+    if (!code) {
+      input.focus();
+      return;
+    }
+
+    const codes = this.#getCodes();
+
+    if (codes.some((applied) => isSameCode(applied, code))) {
+      input.value = '';
+      return;
+    }
+
+    applyButton.disabled = true;
+    applyButton.setAttribute('aria-busy', 'true');
+    this.#showError('');
+
+    try {
+      const cart = await this.#updateCodes([...codes, code]);
+      const discountCode = cart.discount_codes?.find((discount) => isSameCode(discount.code, code));
+
+      // Unknown or not applicable codes stay in the cart payload, the pill shows their state
+      if (!discountCode?.applicable) {
+        this.#showError(this.dataset.notApplicableError ?? '');
+        return;
+      }
+
+      this.refs.input.value = '';
+
+      // Shipping discounts only apply once there is an address at checkout
+      if (!isAppliedToCart(cart, discountCode.code)) {
+        this.#showError(this.dataset.shippingError ?? '');
+      }
+
+      this.#announce((this.dataset.appliedText ?? '').replace('[code]', discountCode.code));
+    } catch (error) {
+      this.#handleError(error);
+    } finally {
+      applyButton.disabled = false;
+      applyButton.removeAttribute('aria-busy');
+    }
+  }
+
+  /**
+   * Removes the code of the pill the event was triggered from.
+   * @param {Event} event
+   */
+  async removeDiscount(event) {
+    if (!(event.target instanceof Element)) return;
+
+    const pill = event.target.closest('[data-discount-code]');
+    const code = pill instanceof HTMLElement ? pill.dataset.discountCode : undefined;
+    if (!code) return;
+
+    const button = event.target.closest('button');
+    if (button) button.disabled = true;
+
+    this.#showError('');
+
+    try {
+      await this.#updateCodes(this.#getCodes().filter((applied) => applied !== code));
+      this.refs.input.focus();
+    } catch (error) {
+      if (button) button.disabled = false;
+      this.#handleError(error);
+    }
+  }
+
+  /**
+   * Replaces the discount codes of the cart.
+   * @param {string[]} codes
+   * @returns {Promise<Cart>}
+   */
+  async #updateCodes(codes) {
+    // Render the lines in the same request, they update from the event
+    const sections = [...document.querySelectorAll('cart-items-component')]
+      .map((cartItems) => (cartItems instanceof HTMLElement ? cartItems.dataset.sectionId : undefined))
+      .filter((sectionId) => sectionId !== undefined);
+
+    const { cart } = await cartStore.update(
+      { discount: codes.join(',') },
+      { target: this, sourceId: this.id, sections, data: { source: 'cart-discount-component' } }
+    );
+
+    this.dispatchEvent(new DiscountUpdateEvent(cart, this.id));
+
+    return cart;
+  }
+
+  /**
+   * The codes in the cart, as rendered with the pills.
+   * @returns {string[]}
+   */
+  #getCodes() {
+    return [...this.querySelectorAll('[data-discount-code]')]
+      .map((pill) => (pill instanceof HTMLElement ? pill.dataset.discountCode ?? '' : ''))
+      .filter(Boolean);
+  }
+
+  /**
+   * @param {unknown} error
+   */
+  #handleError(error) {
+    if (!(error instanceof CartError)) {
+      console.error(error);
+      return;
+    }
+
+    this.#showError(error.message);
+  }
+
+  /**
+   * @param {string} message - The message to show, or an empty string to hide it
+   */
+  #showError(message) {
+    const { error, input } = this.refs;
+
+    error.textContent = message;
+    error.hidden = !message;
+
+    if (message) {
+      input.setAttribute('aria-invalid', 'true');
+    } else {
+      input.removeAttribute('aria-invalid');
+    }
+  }
+
+  /**
+   * @param {string} message
+   */
+  #announce(message) {
+    const { liveRegion } = this.refs;
+
+    liveRegion.textContent = message;
+
+    clearTimeout(this.#announcementTimeout);
+    this.#announcementTimeout = setTimeout(() => {
+      liveRegion.textContent = '';
+    }, SUCCESS_MESSAGE_DISPLAY_DURATION);
+  }
+}
+
+/**
+ * Discount codes are case insensitive.
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function isSameCode(a, b) {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Whether a code takes money off the cart or one of its lines.
+ * @param {Cart} cart
+ * @param {string} code
+ * @returns {boolean}
+ */
+function isAppliedToCart(cart, code) {
+  /** @param {{ title: string } | undefined} application */
+  const isCode = (application) => !!application && isSameCode(application.title, code);
+
+  return (
+    !!cart.cart_level_discount_applications?.some(isCode) ||
+    cart.items.some((item) =>
+      item.line_level_discount_allocations?.some(({ discount_application }) => isCode(discount_application))
+    )
+  );
+}
+
+if (!customElements.get('cart-discount-component')) {
+  customElements.define('cart-discount-component', CartDiscountComponent);
+}
@@ -1,6 +1,7 @@
 import { Component } from '@theme/component';
 import { onAnimationEnd } from '@theme/utilities';
-import { ThemeEvents, CartUpdateEvent } from '@theme/events';
+import { ThemeEvents, CartUpdateEvent, CartErrorEvent, CartOptimisticUpdateEvent } from '@theme/events';
+import { cartStore, CART_SYNC_SOURCE } from '@theme/cart-store';
 
 /**
  * A custom element that displays a cart icon.
@@ -30,11 +31,9 @@ class CartIcon extends Component {
     super.connectedCallback();
 
     document.addEventListener(ThemeEvents.cartUpdate, this.onCartUpdate);
-    window.addEventListener('pageshow', this.onPageShow);
-    
-    // Intercept fetch requests to cart endpoints
-    this.#interceptCartRequests();
-    
+    document.addEventListener(ThemeEvents.cartError, this.onCartError);
+    document.addEventListener(ThemeEvents.cartOptimisticUpdate, this.onCartOptimisticUpdate);
+
     this.ensureCartBubbleIsCorrect();
   }
 
@@ -42,97 +41,55 @@ class CartIcon extends Component {
     super.disconnectedCallback();
 
     document.removeEventListener(ThemeEvents.cartUpdate, this.onCartUpdate);
-    window.removeEventListener('pageshow', this.onPageShow);
+    document.removeEventListener(ThemeEvents.cartError, this.onCartError);
+    document.removeEventListener(ThemeEvents.cartOptimisticUpdate, this.onCartOptimisticUpdate);
   }
 
   /**
-   * Intercepts fetch requests to cart endpoints to update the cart count
-   * This ensures the cart bubble updates even when events don't propagate correctly
+   * Handles the cart update event.
+   * @param {CartUpdateEvent} event - The cart update event.
    */
-  #interceptCartRequests() {
-    // Only set up once globally
-    if (window.__cartIconFetchIntercepted) return;
-    window.__cartIconFetchIntercepted = true;
-    
-    const originalFetch = window.fetch;
-    const self = this;
-    
-    window.fetch = async function(...args) {
-      const response = await originalFetch.apply(this, args);
-      
-      try {
-        const url = typeof args[0] === 'string' ? args[0] : args[0]?.url || '';
-        
-        // Check if this is a cart-related request
-        if (url.includes('/cart/add') || url.includes('/cart/change') || url.includes('/cart/update')) {
-          // Fetch the updated cart count after request completes
-          setTimeout(() => self.#fetchCartCount(), 150);
-        }
-      } catch (e) {
-        // Ignore errors in URL parsing
-      }
-      
-      return response;
-    };
-  }
+  onCartUpdate = async (event) => {
+    const itemCount = event.detail?.resource?.item_count;
 
-  /**
-   * Fetches the current cart count from Shopify's API
-   */
-  #fetchCartCount = async () => {
-    try {
-      const response = await fetch('/cart.js', {
-        method: 'GET',
-        headers: { 'Content-Type': 'application/json' }
-      });
-      
-      if (!response.ok) return;
-      
-      const cart = await response.json();
-      const itemCount = cart.item_count || 0;
-      
-      // Update the bubble with the actual cart count
-      this.renderCartBubble(itemCount, false, true);
-    } catch (error) {
-      console.error('Error fetching cart count:', error);
+    // Events dispatched outside of the cart store may not carry the cart, ask the store for it
+    // Note: We want to allow 0 (empty cart) as a valid value
+    if (typeof itemCount !== 'number') {
+      const cart = await cartStore.getCart().catch(() => null);
+      if (cart) this.renderCartBubble(cart.item_count);
+      return;
     }
+
+    // Carts replayed from another tab or a restored page are updated silently
+    this.renderCartBubble(itemCount, event.detail?.data?.source !== CART_SYNC_SOURCE);
   };
 
   /**
-   * Handles the page show event when the page is restored from cache.
-   * @param {PageTransitionEvent} event - The page show event.
+   * Handles the optimistic cart update event. The count is rendered without animating, the confirmed
+   * `CartUpdateEvent` follows once the server accepts the change.
+   * @param {CartOptimisticUpdateEvent} event - The optimistic cart update event.
    */
-  onPageShow = (event) => {
-    if (event.persisted) {
-      this.ensureCartBubbleIsCorrect();
-    }
+  onCartOptimisticUpdate = (event) => {
+    this.renderCartBubble(event.detail.resource.item_count, false);
   };
 
   /**
-   * Handles the cart update event.
-   * @param {CartUpdateEvent} event - The cart update event.
+   * Handles the cart error event. A rejected add can still partially succeed, so the store refetches the cart.
+   * @param {CartErrorEvent} _event - The cart error event.
    */
-  onCartUpdate = async (event) => {
-    const itemCount = event.detail?.data?.itemCount;
-    const comingFromProductForm = event.detail?.data?.source === 'product-form-component';
-
-    // If itemCount is undefined or null (not provided), fetch the actual count
-    // Note: We want to allow 0 (empty cart) as a valid value
-    if (itemCount === undefined || itemCount === null) {
-      this.#fetchCartCount();
-      return;
-    }
+  onCartError = (_event) => {
+    const cart = cartStore.cart;
+    if (!cart || cart.item_count === this.currentCartCount) return;
 
-    this.renderCartBubble(itemCount, comingFromProductForm);
+    this.renderCartBubble(cart.item_count);
   };
 
   /**
    * Renders the cart bubble.
    * @param {number} itemCount - The number of items in the cart.
-   * @param {boolean} comingFromProductForm - Whether the cart update is coming from the product form.
    * @param {boolean} animate - Whether to animate the bubble.
    */
-  renderCartBubble = async (itemCount, comingFromProductForm, animate = true) => {
+  renderCartBubble = async (itemCount, animate = true) => {
     // Ensure refs are available
     if (!this.refs.cartBubbleCount || !this.refs.cartBubble) return;
 
@@ -140,8 +97,7 @@ class CartIcon extends Component {
     this.refs.cartBubbleCount.classList.toggle('hidden', itemCount === 0);
     this.refs.cartBubble.classList.toggle('visually-hidden', itemCount === 0);
 
-    // If coming from product form, add to current count; otherwise set the count directly
-    this.currentCartCount = comingFromProductForm ? this.currentCartCount + itemCount : itemCount;
+    this.currentCartCount = itemCount;
 
     // Update parent element class
     const parentButton = this.closest('.header-actions__cart-icon');
@@ -170,7 +126,7 @@ class CartIcon extends Component {
   };
 
   /**
-   * Checks if the cart count is correct (used when page is restored from cache).
+   * Checks if the cart count is correct (used when the page is rendered from an outdated cache).
    */
   ensureCartBubbleIsCorrect = () => {
     // Ensure refs are available
@@ -194,7 +150,7 @@ class CartIcon extends Component {
         const count = parseInt(value, 10);
 
         if (count >= 0) {
-          this.renderCartBubble(count, false, false);
+          this.renderCartBubble(count, false);
         }
       }
     } catch (_) {
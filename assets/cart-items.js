@@ -0,0 +1,689 @@
+import { Component } from '@theme/component';
+import { morph } from '@theme/morph';
+import {
+  ThemeEvents,
+  CartOptimisticUpdateEvent,
+  CartUpdateEvent,
+  CartErrorEvent,
+  QuantitySelectorUpdateEvent,
+} from '@theme/events';
+import { cartStore, GROUP_ID_PROPERTY } from '@theme/cart-store';
+import { sectionRenderer } from '@theme/section-renderer';
+import { formatCents } from '@theme/utilities';
+import { SavedForLater } from '@theme/saved-for-later';
+import { getVolumePrice } from '@theme/volume-pricing';
+import { QuantitySelectorComponent } from '@theme/component-quantity-selector';
+
+/**
+ * @typedef {import('@theme/cart-store').Cart} Cart
+ */
+
+/**
+ * How long to wait for more quantity changes before sending them to the server.
+ */
+const COALESCE_DELAY = 300;
+
+/**
+ * How long to wait before rendering the section again after a failed render.
+ */
+const RENDER_RETRY_DELAY = 1000;
+
+/**
+ * The `data.source` of the cart events dispatched by this component.
+ */
+const SOURCE = 'cart-items-component';
+
+/**
+ * The cart items sections rendered for the cart updates that don't carry them. Every cart items component of the
+ * page re-renders for the same update, they share one request.
+ * @type {WeakMap<Event, Promise<Record<string, string>>>}
+ */
+const sectionsByCartUpdate = new WeakMap();
+
+/**
+ * @typedef {object} GroupUpdate
+ * @property {Map<string, number>} updates - The quantities sent, by line key
+ * @property {Record<string, number>} previous - The quantities before the update, by line key
+ */
+
+/**
+ * A custom element that renders the cart lines and updates them optimistically.
+ *
+ * Quantity changes are applied to a local copy of the cart right away, then coalesced per line into a
+ * single `/cart/change.js` request. Once the server confirms, the component morphs into the rendered
+ * section; if it rejects the change, the line rolls back and shows the reason inline.
+ *
+ * Lines are elements with a `data-key` attribute containing a `[data-line-quantity]` input, a
+ * `[data-line-total]` price and a `[data-line-error]` message. Lines with volume pricing also contain their tiers in
+ * a `[data-line-volume-pricing]` script, so a `[data-line-price]` unit price follows the tier of the quantity.
+ *
+ * Lines sharing a `_group_id` property are nested in a `[data-group-id]` element and change together: the group
+ * has a single quantity, set with a `quantity-selector-component`, and its lines are sent in one `/cart/update.js`
+ * request. If the request fails, the whole group rolls back to the quantities it had before.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLScriptElement} cartJson - The cart the section was rendered with.
+ * @property {HTMLElement} [subtotal] - The cart subtotal.
+ * @property {HTMLElement[]} [itemCount] - The cart item counts.
+ * @property {HTMLElement} [renderError] - The message shown when the lines can't be rendered again.
+ *
+ * @extends {Component<Refs>}
+ */
+class CartItemsComponent extends Component {
+  requiredRefs = ['cartJson'];
+
+  /**
+   * The last cart confirmed by the server
+   * @type {Cart | null}
+   */
+  #cart = null;
+
+  /**
+   * Quantities changed locally and not sent yet, by line key
+   * @type {Map<string, number>}
+   */
+  #pending = new Map();
+
+  /**
+   * Quantities sent and not confirmed yet, by line key
+   * @type {Map<string, number>}
+   */
+  #inFlight = new Map();
+
+  /**
+   * Group updates sent and not confirmed yet, by group id
+   * @type {Map<string, GroupUpdate>}
+   */
+  #inFlightGroups = new Map();
+
+  /**
+   * Lines saved for later whose removal isn't confirmed yet, with the undo of their save by line key
+   * @type {Map<string, import('@theme/saved-for-later').SavedItemUndo>}
+   */
+  #saving = new Map();
+
+  /** @type {number | undefined} */
+  #flushTimeout;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    // The cart lines change with every cart update, they're never served from the cache
+    sectionRenderer.setCacheTTL(this.sectionId, 0);
+
+    this.#readCart();
+    this.addEventListener(ThemeEvents.cartError, this.#handleCartError);
+    this.addEventListener(ThemeEvents.quantitySelectorUpdate, this.#handleGroupQuantityUpdate);
+    document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    this.#readCart();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    clearTimeout(this.#flushTimeout);
+    this.removeEventListener(ThemeEvents.cartError, this.#handleCartError);
+    this.removeEventListener(ThemeEvents.quantitySelectorUpdate, this.#handleGroupQuantityUpdate);
+    document.removeEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+  }
+
+  get sectionId() {
+    const { sectionId } = this.dataset;
+
+    if (!sectionId) throw new Error('Section id missing');
+
+    return sectionId;
+  }
+
+  /**
+   * Increases the quantity of the line the event was triggered from.
+   * @param {Event} event
+   */
+  increaseQuantity(event) {
+    const key = this.#getLineKey(event);
+    if (key) this.#changeQuantity(key, this.#getQuantity(key) + 1);
+  }
+
+  /**
+   * Decreases the quantity of the line the event was triggered from. Decreasing to zero removes the line.
+   * @param {Event} event
+   */
+  decreaseQuantity(event) {
+    const key = this.#getLineKey(event);
+    if (key) this.#changeQuantity(key, Math.max(this.#getQuantity(key) - 1, 0));
+  }
+
+  /**
+   * Sets the quantity of the line to the value of its input.
+   * @param {Event} event
+   */
+  setQuantity(event) {
+    const key = this.#getLineKey(event);
+    if (!key || !(event.target instanceof HTMLInputElement)) return;
+
+    const quantity = parseInt(event.target.value, 10);
+    this.#changeQuantity(key, Number.isNaN(quantity) ? this.#getQuantity(key) : Math.max(quantity, 0));
+  }
+
+  /**
+   * Removes the line the event was triggered from.
+   * @param {Event} event
+   */
+  removeLine(event) {
+    const key = this.#getLineKey(event);
+    if (key) this.#changeQuantity(key, 0);
+  }
+
+  /**
+   * Moves the line the event was triggered from to the saved for later list.
+   * @param {Event} event
+   */
+  saveForLater(event) {
+    const key = this.#getLineKey(event);
+    const line = this.#cart?.items.find((item) => item.key === key);
+    if (!key || !line) return;
+
+    this.#saving.set(key, SavedForLater.add({ ...line, quantity: this.#getQuantity(key) }));
+    this.#changeQuantity(key, 0);
+  }
+
+  /**
+   * Removes every line of the group the event was triggered from.
+   * @param {Event} event
+   */
+  removeGroup(event) {
+    const groupId = this.#getGroupId(event);
+    if (groupId) this.#changeGroupQuantity(groupId, 0);
+  }
+
+  /**
+   * Scales the group whose quantity selector changed.
+   * @param {QuantitySelectorUpdateEvent} event
+   */
+  #handleGroupQuantityUpdate = (event) => {
+    if (!(event.target instanceof Element)) return;
+
+    const groupId = event.target.closest('[data-group-id]')?.getAttribute('data-group-id');
+    if (!groupId) return;
+
+    // Group selectors have no cart line, keep the product page listeners from taking the quantity as theirs
+    event.stopPropagation();
+    this.#changeGroupQuantity(groupId, Math.max(event.detail.quantity, 0));
+  };
+
+  /**
+   * Reads the cart the section was rendered with.
+   */
+  #readCart() {
+    try {
+      this.#cart = JSON.parse(this.refs.cartJson.textContent ?? '');
+    } catch (_) {
+      this.#cart = cartStore.cart;
+    }
+  }
+
+  /**
+   * @param {Event} event
+   * @returns {string | undefined}
+   */
+  #getLineKey(event) {
+    if (!(event.target instanceof Element)) return;
+
+    event.preventDefault();
+
+    return event.target.closest('[data-key]')?.getAttribute('data-key') ?? undefined;
+  }
+
+  /**
+   * @param {Event} event
+   * @returns {string | undefined}
+   */
+  #getGroupId(event) {
+    if (!(event.target instanceof Element)) return;
+
+    event.preventDefault();
+
+    return event.target.closest('[data-group-id]')?.getAttribute('data-group-id') ?? undefined;
+  }
+
+  /**
+   * @param {string} groupId
+   * @returns {Cart['items']}
+   */
+  #getGroupLines(groupId) {
+    return this.#cart?.items.filter((item) => getGroupId(item) === groupId) ?? [];
+  }
+
+  /**
+   * Gets the quantity of a group the shopper last asked for: the greatest common divisor of its lines' quantities.
+   * @param {string} groupId
+   * @returns {number}
+   */
+  #getGroupQuantity(groupId) {
+    return this.#getGroupLines(groupId).reduce((quantity, item) => gcd(quantity, this.#getQuantity(item.key)), 0);
+  }
+
+  /**
+   * Gets the quantity the shopper last asked for.
+   * @param {string} key
+   * @returns {number}
+   */
+  #getQuantity(key) {
+    return (
+      this.#pending.get(key) ??
+      this.#inFlight.get(key) ??
+      this.#cart?.items.find((item) => item.key === key)?.quantity ??
+      0
+    );
+  }
+
+  /**
+   * Applies a quantity locally and schedules it to be sent.
+   * @param {string} key
+   * @param {number} quantity
+   */
+  #changeQuantity(key, quantity) {
+    this.#pending.set(key, quantity);
+    this.#setLineError(key, '');
+    this.#render();
+    this.#scheduleFlush();
+  }
+
+  /**
+   * Scales the lines of a group to a quantity, keeping them in the proportions they were added in.
+   * @param {string} groupId
+   * @param {number} quantity
+   */
+  #changeGroupQuantity(groupId, quantity) {
+    const lines = this.#getGroupLines(groupId);
+    const divisor = lines.reduce((result, item) => gcd(result, item.quantity), 0);
+    if (!divisor) return;
+
+    for (const item of lines) {
+      this.#pending.set(item.key, (item.quantity / divisor) * quantity);
+      this.#setLineError(item.key, '');
+    }
+
+    this.#setGroupError(groupId, '');
+    this.#render();
+    this.#scheduleFlush();
+  }
+
+  #scheduleFlush() {
+    clearTimeout(this.#flushTimeout);
+    this.#flushTimeout = setTimeout(this.#flush, COALESCE_DELAY);
+  }
+
+  /**
+   * Sends the pending quantities, one request per changed line or group.
+   */
+  #flush = () => {
+    const changes = [...this.#pending];
+    this.#pending.clear();
+
+    /** @type {Map<string, Map<string, number>>} */
+    const groups = new Map();
+
+    for (const [key, quantity] of changes) {
+      const line = this.#cart?.items.find((item) => item.key === key);
+      if (quantity === line?.quantity && !this.#inFlight.has(key)) continue;
+
+      const groupId = getGroupId(line);
+
+      if (groupId) {
+        const updates = groups.get(groupId) ?? new Map();
+        groups.set(groupId, updates.set(key, quantity));
+        continue;
+      }
+
+      this.#inFlight.set(key, quantity);
+
+      cartStore
+        .change(
+          { id: key, quantity },
+          { target: this, sourceId: key, sections: [this.sectionId], data: { source: SOURCE } }
+        )
+        .then(({ cart, sections }) => {
+          this.#settle(key, quantity, cart);
+
+          const html = sections?.[this.sectionId];
+          if (html && this.#isIdle) this.#morph(html);
+        })
+        .catch(() => {
+          // Rolled back in #handleCartError
+        });
+    }
+
+    for (const [groupId, updates] of groups) {
+      this.#updateGroup(groupId, updates);
+    }
+  };
+
+  /**
+   * Sends the quantities of a group's lines in a single request, so they change together or not at all.
+   * @param {string} groupId
+   * @param {Map<string, number>} updates - The quantities to send, by line key
+   */
+  #updateGroup(groupId, updates) {
+    /** @type {Record<string, number>} */
+    const previous = {};
+
+    for (const [key, quantity] of updates) {
+      previous[key] = this.#cart?.items.find((item) => item.key === key)?.quantity ?? 0;
+      this.#inFlight.set(key, quantity);
+    }
+
+    this.#inFlightGroups.set(groupId, { updates, previous });
+
+    cartStore
+      .update(
+        { updates: Object.fromEntries(updates) },
+        { target: this, sourceId: groupId, sections: [this.sectionId], data: { source: SOURCE } }
+      )
+      .then(({ cart, sections }) => {
+        this.#inFlightGroups.delete(groupId);
+        for (const [key, quantity] of updates) this.#settle(key, quantity, cart);
+
+        const html = sections?.[this.sectionId];
+        if (html && this.#isIdle) this.#morph(html);
+      })
+      .catch(() => {
+        // Rolled back in #handleCartError
+      });
+  }
+
+  /**
+   * Records the cart the server returned for a line.
+   * @param {string} key
+   * @param {number} quantity - The quantity that was sent
+   * @param {Cart | null} cart
+   */
+  #settle(key, quantity, cart) {
+    if (this.#inFlight.get(key) === quantity) this.#inFlight.delete(key);
+    if (cart) this.#cart = cart;
+
+    this.#saving.delete(key);
+  }
+
+  /**
+   * Whether no change is waiting to be sent or confirmed.
+   */
+  get #isIdle() {
+    return this.#pending.size === 0 && this.#inFlight.size === 0;
+  }
+
+  /**
+   * Morphs the component into the one rendered in the section markup.
+   * @param {string} html - The section markup
+   */
+  #morph(html) {
+    const fragment = new DOMParser().parseFromString(html, 'text/html');
+    const newElement = fragment.querySelector(`cart-items-component[data-section-id="${this.sectionId}"]`);
+
+    if (newElement) morph(this, newElement);
+  }
+
+  /**
+   * Rolls a line back to the quantity in the cart and explains why.
+   * @param {CartErrorEvent} event
+   */
+  #handleCartError = (event) => {
+    const key = event.detail.sourceId;
+    const group = this.#inFlightGroups.get(key);
+
+    if (group) {
+      this.#rollbackGroup(key, group, event.detail.data.message);
+      return;
+    }
+
+    const quantity = this.#inFlight.get(key);
+    if (quantity === undefined) return;
+
+    // The line is still in the cart, so it isn't saved for later either
+    const savedUndo = this.#saving.get(key);
+    if (savedUndo) SavedForLater.undo(savedUndo);
+
+    // The store refetched the cart before dispatching the error
+    this.#settle(key, quantity, cartStore.cart);
+    this.#render();
+    this.#setLineError(key, event.detail.data.message);
+  };
+
+  /**
+   * Rolls a group back to the quantities it had before the failed update and explains why.
+   * @param {string} groupId
+   * @param {GroupUpdate} group
+   * @param {string} message
+   */
+  #rollbackGroup(groupId, { updates, previous }, message) {
+    this.#inFlightGroups.delete(groupId);
+
+    // The store refetched the cart before dispatching the error
+    for (const [key, quantity] of updates) this.#settle(key, quantity, cartStore.cart);
+
+    // `/cart/update.js` can apply some of the quantities before rejecting the others, e.g. capped at the
+    // available inventory. Restore them so the group stays whole.
+    const isPartial = Object.entries(previous).some(
+      ([key, quantity]) => (this.#cart?.items.find((item) => item.key === key)?.quantity ?? 0) !== quantity
+    );
+
+    if (isPartial) {
+      cartStore
+        .update(
+          { updates: previous },
+          { target: this, sourceId: `${groupId}-rollback`, data: { source: SOURCE } }
+        )
+        .then(({ cart }) => {
+          // The lines are back to the quantities they're rendered with, keep the error visible
+          this.#cart = cart;
+          this.#render();
+        })
+        .catch(() => {
+          // The cart keeps what the server accepted, the next render shows it
+        });
+    }
+
+    this.#render();
+    this.#setGroupError(groupId, message);
+  }
+
+  /**
+   * Re-renders the lines when the cart was changed from somewhere else, e.g. a product form or another tab.
+   * @param {CartUpdateEvent} event
+   */
+  #handleCartUpdate = async (event) => {
+    if (event.target === this) return;
+    if (!this.#isIdle) return;
+
+    const html = event.detail.data?.sections?.[this.sectionId];
+
+    if (html) {
+      this.#morph(html);
+      return;
+    }
+
+    let sectionsHTML = sectionsByCartUpdate.get(event);
+
+    if (!sectionsHTML) {
+      const sectionIds = Array.from(document.querySelectorAll('cart-items-component'), (element) =>
+        element instanceof HTMLElement ? element.dataset.sectionId ?? '' : ''
+      ).filter(Boolean);
+
+      sectionsHTML = sectionRenderer.getSectionsHTML(sectionIds, false);
+      sectionsByCartUpdate.set(event, sectionsHTML);
+    }
+
+    try {
+      const sectionHTML = (await sectionsHTML)[this.sectionId];
+      if (sectionHTML && this.#isIdle) this.#morph(sectionHTML);
+    } catch (_) {
+      this.#retryRender();
+    }
+  };
+
+  /**
+   * Renders the section again after a failed render. If that fails too, the lines stay as they are and a message
+   * says they may be out of date.
+   */
+  async #retryRender() {
+    await new Promise((resolve) => setTimeout(resolve, RENDER_RETRY_DELAY));
+
+    // The response of the pending changes renders the lines
+    if (!this.#isIdle) return;
+
+    try {
+      await sectionRenderer.renderSection(this.sectionId, { cache: false });
+    } catch (_) {
+      if (this.refs.renderError) this.refs.renderError.hidden = false;
+    }
+  }
+
+  /**
+   * Renders the cart as it will be once every change is confirmed.
+   */
+  #render() {
+    const cart = this.#cart;
+    if (!cart) return;
+
+    const { moneyFormat = '{{amount}}' } = this.dataset;
+    let itemCount = cart.item_count;
+    let totalPrice = cart.total_price;
+
+    for (const item of cart.items) {
+      const quantity = this.#getQuantity(item.key);
+      const line = this.querySelector(`[data-key="${CSS.escape(item.key)}"]`);
+      const unitPrice = this.#getUnitPrice(item, quantity);
+
+      itemCount += quantity - item.quantity;
+      totalPrice += unitPrice * quantity - item.final_price * item.quantity;
+
+      if (!line) continue;
+
+      const input = line.querySelector('[data-line-quantity]');
+      const total = line.querySelector('[data-line-total]');
+      const price = line.querySelector('[data-line-price]');
+
+      if (input instanceof HTMLInputElement && document.activeElement !== input) {
+        input.value = String(quantity);
+      }
+      if (total) total.textContent = formatCents(unitPrice * quantity, moneyFormat);
+      if (price && line.querySelector('[data-line-volume-pricing]')) {
+        price.textContent = formatCents(unitPrice, moneyFormat);
+      }
+
+      const label = line.querySelector('[data-line-quantity-label]');
+      if (label instanceof HTMLElement && label.dataset.template) {
+        label.textContent = label.dataset.template.replace('[quantity]', String(quantity));
+      }
+
+      line.classList.toggle('removing', quantity === 0);
+    }
+
+    for (const group of this.querySelectorAll('[data-group-id]')) {
+      const groupId = group.getAttribute('data-group-id') ?? '';
+      const quantity = this.#getGroupQuantity(groupId);
+      const selector = group.querySelector('quantity-selector-component');
+      const input = group.querySelector('[data-group-quantity]');
+      const total = group.querySelector('[data-group-total]');
+      const groupTotal = this.#getGroupLines(groupId).reduce(
+        (sum, item) => {
+          const lineQuantity = this.#getQuantity(item.key);
+
+          return sum + this.#getUnitPrice(item, lineQuantity) * lineQuantity;
+        },
+        0
+      );
+
+      if (input instanceof HTMLInputElement && document.activeElement !== input) {
+        input.value = String(quantity);
+      }
+      if (selector instanceof QuantitySelectorComponent) selector.updateButtonStates();
+      if (total) total.textContent = formatCents(groupTotal, moneyFormat);
+
+      group.classList.toggle('removing', quantity === 0);
+    }
+
+    if (this.refs.subtotal) this.refs.subtotal.textContent = formatCents(totalPrice, moneyFormat);
+
+    for (const count of this.refs.itemCount ?? []) {
+      count.textContent = `(${itemCount})`;
+    }
+
+    this.dispatchEvent(new CartOptimisticUpdateEvent({ item_count: itemCount, total_price: totalPrice }, this.sectionId));
+  }
+
+  /**
+   * Gets the unit price of a line at a quantity. Lines with volume pricing move to the price of the tier the
+   * quantity reaches, keeping the discounts the server applied to the line.
+   * @param {Cart['items'][number]} item
+   * @param {number} quantity
+   * @returns {number} The unit price, in cents
+   */
+  #getUnitPrice(item, quantity) {
+    if (quantity === item.quantity || quantity === 0) return item.final_price;
+
+    const line = this.querySelector(`[data-key="${CSS.escape(item.key)}"]`);
+    const textContent = line?.querySelector('[data-line-volume-pricing]')?.textContent;
+    if (!textContent) return item.final_price;
+
+    try {
+      const pricing = JSON.parse(textContent);
+      const priceChange = getVolumePrice(pricing, quantity) - getVolumePrice(pricing, item.quantity);
+
+      return Math.max(item.final_price + priceChange, 0);
+    } catch (_) {
+      return item.final_price;
+    }
+  }
+
+  /**
+   * @param {string} key
+   * @param {string} message - The message to show, or an empty string to hide it
+   */
+  #setLineError(key, message) {
+    const error = this.querySelector(`[data-key="${CSS.escape(key)}"] [data-line-error]`);
+    if (!(error instanceof HTMLElement)) return;
+
+    error.textContent = message;
+    error.hidden = !message;
+  }
+
+  /**
+   * @param {string} groupId
+   * @param {string} message - The message to show, or an empty string to hide it
+   */
+  #setGroupError(groupId, message) {
+    const error = this.querySelector(`[data-group-id="${CSS.escape(groupId)}"] [data-group-error]`);
+    if (!(error instanceof HTMLElement)) return;
+
+    error.textContent = message;
+    error.hidden = !message;
+  }
+}
+
+/**
+ * @param {Cart['items'][number] | undefined} item
+ * @returns {string | undefined}
+ */
+function getGroupId(item) {
+  return item?.properties?.[GROUP_ID_PROPERTY] || undefined;
+}
+
+/**
+ * The greatest common divisor of two quantities.
+ * @param {number} a
+ * @param {number} b
+ * @returns {number}
+ */
+function gcd(a, b) {
+  return b === 0 ? a : gcd(b, a % b);
+}
+
+if (!customElements.get('cart-items-component')) {
+  customElements.define('cart-items-component', CartItemsComponent);
+}
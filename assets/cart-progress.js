@@ -0,0 +1,318 @@
+import { Component } from '@theme/component';
+import { ThemeEvents } from '@theme/events';
+import { cartStore, CartError, CART_SYNC_SOURCE } from '@theme/cart-store';
+import { formatCents } from '@theme/utilities';
+
+/**
+ * @typedef {import('@theme/cart-store').Cart} Cart
+ * @typedef {import('@theme/cart-store').CartLine} CartLine
+ */
+
+/**
+ * The line item property of the gifts added by the progress bar. Gift lines don't count towards the thresholds.
+ */
+const GIFT_PROPERTY = '_free_gift';
+
+/**
+ * The source of the cart mutations made for the gift.
+ */
+const GIFT_SOURCE = 'cart-progress-component';
+
+/**
+ * Remembers that the shopper removed the gift, so it isn't added back until the cart drops below the threshold.
+ * It's kept in local storage so every tab respects it.
+ */
+const GIFT_DECLINED_STORAGE_KEY = 'theme:free-gift-declined';
+
+/**
+ * The gift is shared by every progress bar of the page, the drawer, the cart page and the announcement bar
+ * all receive the same events but only one of them may change the cart for each.
+ */
+const gift = {
+  /** Whether a gift mutation is in flight */
+  pending: false,
+  /** Whether the gift couldn't be added, e.g. it sold out since the page was rendered */
+  unavailable: false,
+  /** Whether the gift was in the last cart seen */
+  inCart: /** @type {boolean | null} */ (null),
+  /** The cart events the gift was already synced for */
+  handledEvents: /** @type {WeakSet<Event>} */ (new WeakSet()),
+};
+
+/**
+ * @typedef {object} Threshold
+ * @property {HTMLElement} element - The marker of the threshold
+ * @property {number} amount - The threshold in the cart currency, in cents
+ */
+
+/**
+ * A custom element that shows the progress of the cart towards spend thresholds, e.g. free delivery or a
+ * free gift, and optionally adds the gift to the cart once its threshold is reached.
+ *
+ * The thresholds are rendered in the store currency and converted to the cart currency. The gift is removed
+ * again when the cart drops below the threshold, unless the shopper added it themselves.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} message - The message of the next threshold
+ * @property {HTMLElement} bar - The progress bar
+ * @property {HTMLElement} fill - The filled part of the bar
+ * @property {HTMLElement[]} thresholds - The markers of the thresholds
+ *
+ * @extends {Component<Refs>}
+ */
+class CartProgressComponent extends Component {
+  requiredRefs = ['message', 'bar', 'fill', 'thresholds'];
+
+  /**
+   * The price of the gift lines of the last cart, optimistic updates only know the total
+   */
+  #giftTotal = 0;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+    document.addEventListener(ThemeEvents.cartOptimisticUpdate, this.#handleCartOptimisticUpdate);
+    document.addEventListener(ThemeEvents.cartError, this.#handleCartError);
+
+    this.#render(Number(this.dataset.total) || 0);
+
+    // The page may have been rendered before the gift threshold was crossed in another tab
+    const reached = Number(this.dataset.total) >= this.#convert(Number(this.dataset.giftThreshold));
+    if (this.dataset.giftVariantId && reached !== (this.dataset.hasGift === 'true')) {
+      cartStore
+        .getCart()
+        .then((cart) => this.#syncGift(cart))
+        .catch(() => {});
+    }
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+    document.removeEventListener(ThemeEvents.cartOptimisticUpdate, this.#handleCartOptimisticUpdate);
+    document.removeEventListener(ThemeEvents.cartError, this.#handleCartError);
+  }
+
+  /**
+   * @param {Event & { detail?: { resource?: Cart, data?: { source?: string } } }} event
+   */
+  #handleCartUpdate = async (event) => {
+    let cart = event.detail?.resource;
+
+    // Events dispatched outside of the cart store may not carry the cart, ask the store for it
+    if (!cart?.items) {
+      cart = await cartStore.getCart().catch(() => undefined);
+      if (!cart) return;
+    }
+
+    this.#render(this.#getTotal(cart));
+
+    if (gift.handledEvents.has(event)) return;
+    gift.handledEvents.add(event);
+
+    this.#syncGift(cart, event.detail?.data?.source);
+  };
+
+  /**
+   * @param {Event & { detail: { resource: { total_price: number } } }} event
+   */
+  #handleCartOptimisticUpdate = (event) => {
+    this.#render(event.detail.resource.total_price - this.#giftTotal);
+  };
+
+  /**
+   * A rejected change rolls the optimistic total back.
+   */
+  #handleCartError = () => {
+    const cart = cartStore.cart;
+    if (cart) this.#render(this.#getTotal(cart));
+  };
+
+  /**
+   * Renders the bar and the message of the next threshold.
+   * @param {number} total - The cart total without the gift, in cents
+   */
+  #render(total) {
+    const { message, bar, fill } = this.refs;
+    const { moneyFormat = '{{amount}}' } = this.dataset;
+    const thresholds = this.#getThresholds();
+    const last = thresholds[thresholds.length - 1];
+    if (!last) return;
+
+    const progress = Math.min(Math.max(total / last.amount, 0), 1);
+    fill.style.setProperty('--cart-progress', String(progress));
+    bar.setAttribute('aria-valuenow', String(Math.round(progress * 100)));
+
+    for (const { element, amount } of thresholds) {
+      element.classList.toggle('cart-progress__marker--reached', total >= amount);
+    }
+
+    const next = thresholds.find(({ amount }) => total < amount);
+    const text = next
+      ? (next.element.dataset.away ?? '').replace('[amount]', formatCents(next.amount - total, moneyFormat))
+      : last.element.dataset.reached ?? '';
+
+    // Leave the live region alone unless the message changed
+    if (message.textContent !== text) message.textContent = text;
+  }
+
+  /**
+   * Adds the gift once its threshold is reached and removes it when the cart drops below it.
+   *
+   * Carts synced from other tabs are left alone, the tab that changed the cart already enforced the gift. The
+   * enforcement is idempotent: a gift merged into more than one unit is brought back to a single one.
+   * @param {Cart} cart
+   * @param {string} [source] - The source of the cart update
+   */
+  async #syncGift(cart, source) {
+    const { giftVariantId, giftThreshold } = this.dataset;
+    if (!giftVariantId || gift.pending) return;
+
+    const giftLines = cart.items.filter(isGiftLine);
+    const reached = this.#getTotal(cart) >= this.#convert(Number(giftThreshold));
+    const wasInCart = gift.inCart;
+    gift.inCart = giftLines.length > 0;
+
+    if (source === CART_SYNC_SOURCE) return;
+
+    if (!reached) {
+      setGiftDeclined(false);
+      if (giftLines.length) {
+        await this.#mutateGift({ updates: Object.fromEntries(giftLines.map(({ key }) => [key, 0])) });
+      }
+      return;
+    }
+
+    if (giftLines.length) {
+      const [firstLine, ...otherLines] = giftLines;
+      if (firstLine && (firstLine.quantity > 1 || otherLines.length)) {
+        await this.#mutateGift({
+          updates: { [firstLine.key]: 1, ...Object.fromEntries(otherLines.map(({ key }) => [key, 0])) },
+        });
+      }
+      return;
+    }
+
+    // The shopper removed the gift themselves
+    if (wasInCart && source !== GIFT_SOURCE) setGiftDeclined(true);
+
+    if (gift.unavailable || isGiftDeclined()) return;
+
+    await this.#mutateGift({
+      items: [{ id: giftVariantId, quantity: 1, properties: { [GIFT_PROPERTY]: 'true' } }],
+    });
+  }
+
+  /**
+   * Adds, removes or corrects the gift lines. The resulting cart event syncs the gift again, which has nothing left
+   * to do.
+   * @param {{ items: Array<{id: string, quantity: number, properties: Record<string, string>}> } | { updates: Record<string, number> }} mutation
+   */
+  async #mutateGift(mutation) {
+    /** @type {string[]} */
+    const sections = [];
+    document.querySelectorAll('cart-items-component').forEach((element) => {
+      if (element instanceof HTMLElement && element.dataset.sectionId) sections.push(element.dataset.sectionId);
+    });
+
+    /** @type {import('@theme/cart-store').CartMutationOptions} */
+    const options = {
+      target: this,
+      sourceId: GIFT_SOURCE,
+      sections,
+      data: { source: GIFT_SOURCE, variantId: this.dataset.giftVariantId },
+    };
+
+    gift.pending = true;
+
+    try {
+      if ('items' in mutation) {
+        await cartStore.add(mutation.items, options);
+      } else {
+        await cartStore.update({ updates: mutation.updates }, options);
+      }
+    } catch (error) {
+      if (!(error instanceof CartError)) {
+        console.error(error);
+        return;
+      }
+
+      if ('items' in mutation) gift.unavailable = true;
+    } finally {
+      gift.pending = false;
+    }
+  }
+
+  /**
+   * The cart total without the gift lines.
+   * @param {Cart} cart
+   * @returns {number}
+   */
+  #getTotal(cart) {
+    this.#giftTotal = cart.items.filter(isGiftLine).reduce((total, line) => total + line.final_line_price, 0);
+
+    return cart.total_price - this.#giftTotal;
+  }
+
+  /**
+   * The thresholds in the cart currency, lowest first.
+   * @returns {Threshold[]}
+   */
+  #getThresholds() {
+    return this.refs.thresholds
+      .map((element) => ({ element, amount: this.#convert(Number(element.dataset.threshold)) }))
+      .filter(({ amount }) => amount > 0)
+      .sort((a, b) => a.amount - b.amount);
+  }
+
+  /**
+   * Converts an amount in the store currency to the cart currency.
+   * @param {number} cents
+   * @returns {number}
+   */
+  #convert(cents) {
+    const rate = Number(window.Shopify?.currency?.rate) || 1;
+
+    return Math.round((cents || 0) * rate);
+  }
+}
+
+/**
+ * @returns {boolean} Whether the shopper removed the gift since the cart last dropped below its threshold
+ */
+function isGiftDeclined() {
+  try {
+    return localStorage.getItem(GIFT_DECLINED_STORAGE_KEY) === 'true';
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * @param {boolean} declined
+ */
+function setGiftDeclined(declined) {
+  try {
+    if (declined) {
+      localStorage.setItem(GIFT_DECLINED_STORAGE_KEY, 'true');
+    } else {
+      localStorage.removeItem(GIFT_DECLINED_STORAGE_KEY);
+    }
+  } catch (_) {
+    // Storage may be full or disabled
+  }
+}
+
+/**
+ * @param {CartLine} line
+ * @returns {boolean}
+ */
+function isGiftLine(line) {
+  return !!line.properties?.[GIFT_PROPERTY];
+}
+
+if (!customElements.get('cart-progress-component')) {
+  customElements.define('cart-progress-component', CartProgressComponent);
+}
@@ -0,0 +1,191 @@
+import { Component } from '@theme/component';
+import { ThemeEvents } from '@theme/events';
+import { cartStore } from '@theme/cart-store';
+
+/**
+ * @typedef {import('@theme/cart-store').Cart} Cart
+ */
+
+/**
+ * How many products of the cart the recommendations are fetched for, the most recently added first.
+ */
+const MAX_SOURCE_PRODUCTS = 3;
+
+/**
+ * A custom element that renders complementary products of the cart items in the cart drawer.
+ *
+ * The recommendations are fetched for the products of the cart through the `cart-recommendations` section,
+ * merged in cart order and stripped of the products already in the cart. They are fetched when the rail first
+ * shows and again after every cart update. The items are rendered on the client, so the element must be
+ * marked with `data-skip-subtree-update` to survive the section re-renders of the cart.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} content - The element hidden while there is nothing to recommend.
+ * @property {HTMLElement} list - The element the recommended products are rendered in.
+ *
+ * @extends {Component<Refs>}
+ */
+class CartRecommendationsComponent extends Component {
+  requiredRefs = ['content', 'list'];
+
+  /**
+   * The cached responses, by url
+   * @type {Record<string, string>}
+   */
+  #cachedRecommendations = {};
+
+  /**
+   * An abort controller for the active load (if there is one)
+   * @type {AbortController | null}
+   */
+  #activeFetch = null;
+
+  /**
+   * The cart of the last update, if there was one
+   * @type {Cart | null}
+   */
+  #cart = null;
+
+  /**
+   * Whether the cart changed since the recommendations were last loaded
+   */
+  #isStale = true;
+
+  /**
+   * Whether the rail is on screen, i.e. the drawer is open
+   */
+  #isVisible = false;
+
+  #intersectionObserver = new IntersectionObserver((entries) => {
+    const entry = entries[entries.length - 1];
+    this.#isVisible = !!entry?.isIntersecting;
+
+    if (this.#isVisible && this.#isStale) this.#load();
+  });
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#intersectionObserver.observe(this);
+    document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#intersectionObserver.disconnect();
+    document.removeEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+    this.#activeFetch?.abort();
+  }
+
+  /**
+   * @param {Event & { detail?: { resource?: Cart, data?: { didError?: boolean } } }} event
+   */
+  #handleCartUpdate = (event) => {
+    if (event.detail?.data?.didError) return;
+
+    this.#cart = event.detail?.resource?.items ? event.detail.resource : null;
+    this.#isStale = true;
+
+    // A closed drawer loads the next time it opens
+    if (this.#isVisible) this.#load();
+  };
+
+  async #load() {
+    this.#isStale = false;
+
+    this.#activeFetch?.abort();
+    const abortController = new AbortController();
+    this.#activeFetch = abortController;
+
+    try {
+      const cart = this.#cart ?? cartStore.cart ?? (await cartStore.getCart());
+      const cartProductIds = new Set(cart.items.map((item) => String(item.product_id)));
+      const sourceProductIds = [...cartProductIds].slice(0, MAX_SOURCE_PRODUCTS);
+
+      const responses = await Promise.all(
+        sourceProductIds.map((productId) => this.#fetchCachedRecommendations(productId, abortController.signal))
+      );
+
+      if (abortController.signal.aborted) return;
+
+      this.#render(responses, cartProductIds);
+    } catch (error) {
+      if (abortController.signal.aborted) return;
+
+      console.error('Cart recommendations error:', error instanceof Error ? error.message : error);
+      this.#render([], new Set());
+      this.#isStale = true;
+    } finally {
+      if (this.#activeFetch === abortController) this.#activeFetch = null;
+    }
+  }
+
+  /**
+   * Fetches the recommendations of a product and caches the result for future use
+   * @param {string} productId
+   * @param {AbortSignal} signal
+   * @returns {Promise<string>}
+   */
+  async #fetchCachedRecommendations(productId, signal) {
+    const { url: baseUrl, sectionId, limit } = this.dataset;
+    const url = `${baseUrl}?limit=${limit}&product_id=${productId}&section_id=${sectionId}&intent=complementary`;
+
+    const cachedResponse = this.#cachedRecommendations[url];
+    if (cachedResponse !== undefined) return cachedResponse;
+
+    const response = await fetch(url, { signal });
+    if (!response.ok) throw new Error(`Server returned ${response.status}`);
+
+    const text = await response.text();
+    this.#cachedRecommendations[url] = text;
+
+    return text;
+  }
+
+  /**
+   * Renders the recommended products that aren't in the cart, each product once.
+   * @param {string[]} responses - The rendered section, for every product of the cart
+   * @param {Set<string>} cartProductIds - The ids of the products in the cart
+   */
+  #render(responses, cartProductIds) {
+    const { content, list } = this.refs;
+    const limit = Number(this.dataset.limit) || Infinity;
+    const seen = new Set(cartProductIds);
+    /** @type {HTMLElement | null} */
+    let items = null;
+
+    for (const response of responses) {
+      const html = new DOMParser().parseFromString(response, 'text/html');
+      const responseList = html.querySelector('.cart-recommendations__list');
+      if (!(responseList instanceof HTMLElement)) continue;
+
+      if (!items) {
+        items = /** @type {HTMLElement} */ (responseList.cloneNode(false));
+      }
+
+      for (const item of responseList.querySelectorAll('[data-product-id]')) {
+        if (items.children.length >= limit) break;
+        if (!(item instanceof HTMLElement)) continue;
+
+        const productId = item.dataset.productId ?? '';
+        if (seen.has(productId)) continue;
+
+        seen.add(productId);
+        items.append(document.importNode(item, true));
+      }
+    }
+
+    if (items?.children.length) {
+      list.replaceChildren(items);
+      content.hidden = false;
+    } else {
+      list.replaceChildren();
+      content.hidden = true;
+    }
+  }
+}
+
+if (!customElements.get('cart-recommendations-component')) {
+  customElements.define('cart-recommendations-component', CartRecommendationsComponent);
+}
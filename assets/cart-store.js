@@ -0,0 +1,417 @@
+import { fetchConfig } from '@theme/utilities';
+import { CartAddEvent, CartErrorEvent, CartUpdateEvent } from '@theme/events';
+
+/**
+ * @typedef {object} CartLine
+ * @property {string} key - The unique key of the line
+ * @property {number} id - The variant id of the line
+ * @property {number} variant_id - The variant id of the line
+ * @property {number} product_id - The product id of the line
+ * @property {string} handle - The product handle
+ * @property {string} product_title - The product title
+ * @property {string | null} variant_title - The variant title
+ * @property {string} url - The url of the line's variant
+ * @property {string | null} image - The url of the line's image
+ * @property {number} quantity - The quantity of the line
+ * @property {number} price - The unit price in cents
+ * @property {number} final_price - The discounted unit price in cents
+ * @property {number} final_line_price - The discounted line price in cents
+ * @property {Record<string, string> | null} properties - The line item properties
+ * @property {{selling_plan: {id: number}} | null} [selling_plan_allocation] - The line's selling plan
+ * @property {Array<{amount: number, discount_application: DiscountApplication}>} [line_level_discount_allocations] - The line's discounts
+ */
+
+/**
+ * @typedef {object} DiscountApplication
+ * @property {string} type - The type of discount, e.g. 'discount_code' or 'automatic'
+ * @property {string} title - The title of the discount, the code for discount codes
+ * @property {number} [total_allocated_amount] - The amount the discount takes off in cents
+ */
+
+/**
+ * @typedef {object} Cart
+ * @property {string} token - The cart token
+ * @property {number} item_count - The total quantity of items in the cart
+ * @property {number} total_price - The total price in cents
+ * @property {number} items_subtotal_price - The subtotal before cart level discounts in cents
+ * @property {string | null} note - The cart note
+ * @property {Record<string, string>} attributes - The cart attributes
+ * @property {string} currency - The cart currency
+ * @property {CartLine[]} items - The cart lines
+ * @property {Array<{code: string, applicable: boolean}>} [discount_codes] - The discount codes entered in the cart
+ * @property {DiscountApplication[]} [cart_level_discount_applications] - The discounts applied to the whole cart
+ */
+
+/**
+ * @typedef {object} CartMutationOptions
+ * @property {EventTarget} [target] - The element the resulting event is dispatched from, defaults to `document`
+ * @property {string} [sourceId] - The id of the element the action was triggered from
+ * @property {string[]} [sections] - Section ids to render alongside the mutation
+ * @property {Record<string, unknown>} [data] - Additional data merged into the event detail
+ */
+
+/**
+ * @typedef {object} CartMutationResult
+ * @property {Cart} cart - The cart after the mutation
+ * @property {Record<string, string> | undefined} sections - The sections rendered alongside the mutation
+ * @property {any} response - The raw response of the cart endpoint
+ */
+
+/**
+ * The BroadcastChannel the cart is published on after every mutation, so other tabs can catch up.
+ */
+export const CART_CHANNEL_NAME = 'theme:cart';
+
+/**
+ * The localStorage key the cart is published on when BroadcastChannel isn't supported.
+ */
+const CART_STORAGE_KEY = 'theme:cart';
+
+/**
+ * The `data.source` of cart events that replay a cart mutated elsewhere (another tab, a restored page).
+ */
+export const CART_SYNC_SOURCE = 'cart-sync';
+
+/**
+ * The line item property that ties lines added together (a bundle, a product and its add-ons) into one group.
+ */
+export const GROUP_ID_PROPERTY = '_group_id';
+
+/**
+ * The line item property that names a group in the cart.
+ */
+export const GROUP_NAME_PROPERTY = '_group_name';
+
+/**
+ * Error thrown when the Cart API rejects a mutation.
+ */
+export class CartError extends Error {
+  /**
+   * @param {string} message - A message from the server response
+   * @param {string} [description] - Description from the server response
+   * @param {Object} [errors] - Errors from the server response
+   */
+  constructor(message, description, errors) {
+    super(message);
+    this.name = 'CartError';
+    this.description = description;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Owns the cart state and is the only module that talks to the Cart API.
+ *
+ * Mutations are serialized into a queue so that concurrent requests never interleave, and each mutation
+ * dispatches exactly one theme event: `CartAddEvent`, `CartUpdateEvent` or `CartErrorEvent`.
+ */
+class CartStore {
+  /**
+   * The last cart returned by the Cart API
+   * @type {Cart | null}
+   */
+  #cart = null;
+
+  /**
+   * The tail of the mutation queue
+   * @type {Promise<unknown>}
+   */
+  #queue = Promise.resolve();
+
+  /**
+   * The channel used to publish the cart to other tabs
+   * @type {BroadcastChannel | null}
+   */
+  #channel = 'BroadcastChannel' in window ? new BroadcastChannel(CART_CHANNEL_NAME) : null;
+
+  constructor() {
+    if (this.#channel) {
+      this.#channel.addEventListener('message', (event) => this.#receive(event.data?.cart));
+    } else {
+      window.addEventListener('storage', this.#onStorage);
+    }
+
+    // Pages restored from the back/forward cache may have missed mutations made in the meantime
+    window.addEventListener('pageshow', (event) => {
+      if (event.persisted) this.sync().catch(() => {});
+    });
+  }
+
+  /**
+   * The last known cart, or null if the cart hasn't been loaded yet.
+   * @returns {Cart | null}
+   */
+  get cart() {
+    return this.#cart;
+  }
+
+  /**
+   * Fetches the cart. Waits for pending mutations so the result reflects them.
+   * @returns {Promise<Cart>}
+   */
+  getCart() {
+    return this.#enqueue(() => this.#fetchCart());
+  }
+
+  /**
+   * Refetches the cart and, if it changed since it was last seen, dispatches a `CartUpdateEvent`
+   * with `data.source` set to `CART_SYNC_SOURCE`.
+   * @returns {Promise<Cart>}
+   */
+  async sync() {
+    const previous = this.#cart;
+    const cart = await this.getCart();
+
+    if (!previous || getCartSignature(previous) !== getCartSignature(cart)) {
+      this.#dispatchSync(cart);
+    }
+
+    return cart;
+  }
+
+  /**
+   * Adds items to the cart.
+   * @param {FormData | Array<{id: number | string, quantity?: number, properties?: Record<string, string>, selling_plan?: number}>} items - A product form's data or a list of items
+   * @param {CartMutationOptions} [options]
+   * @returns {Promise<CartMutationResult>}
+   */
+  add(items, options = {}) {
+    const body = items instanceof FormData ? items : { items };
+
+    return this.#mutate(Theme.routes.cart_add_url, body, CartAddEvent, options);
+  }
+
+  /**
+   * Changes a single cart line.
+   * @param {{id?: string, line?: number, quantity?: number, properties?: Record<string, string>, selling_plan?: number | null}} change - The line to change, identified by key or 1-based index
+   * @param {CartMutationOptions} [options]
+   * @returns {Promise<CartMutationResult>}
+   */
+  change(change, options = {}) {
+    return this.#mutate(`${Theme.routes.cart_change_url}.js`, change, CartUpdateEvent, options);
+  }
+
+  /**
+   * Updates several lines, the note, the attributes or the discount codes at once.
+   * @param {{updates?: Record<string, number> | number[], note?: string, attributes?: Record<string, string>, discount?: string}} update
+   * @param {CartMutationOptions} [options]
+   * @returns {Promise<CartMutationResult>}
+   */
+  update(update, options = {}) {
+    return this.#mutate(`${Theme.routes.cart_update_url}.js`, update, CartUpdateEvent, options);
+  }
+
+  /**
+   * Removes every line from the cart.
+   * @param {CartMutationOptions} [options]
+   * @returns {Promise<CartMutationResult>}
+   */
+  clear(options = {}) {
+    return this.#mutate(`${Theme.routes.cart_clear_url}.js`, {}, CartUpdateEvent, options);
+  }
+
+  /**
+   * Updates the cart note.
+   * @param {string} note
+   * @param {CartMutationOptions} [options]
+   * @returns {Promise<CartMutationResult>}
+   */
+  updateNote(note, options = {}) {
+    return this.update({ note }, options);
+  }
+
+  /**
+   * Updates cart attributes. Set an attribute to an empty string to remove it.
+   * @param {Record<string, string>} attributes
+   * @param {CartMutationOptions} [options]
+   * @returns {Promise<CartMutationResult>}
+   */
+  updateAttributes(attributes, options = {}) {
+    return this.update({ attributes }, options);
+  }
+
+  /**
+   * Runs a task after every previously queued task has settled.
+   * @template T
+   * @param {() => Promise<T>} task
+   * @returns {Promise<T>}
+   */
+  #enqueue(task) {
+    const result = this.#queue.then(task, task);
+    this.#queue = result.catch(() => {});
+
+    return result;
+  }
+
+  /**
+   * @returns {Promise<Cart>}
+   */
+  async #fetchCart() {
+    const response = await fetch(`${Theme.routes.cart_url}.js`, { headers: { Accept: 'application/json' } });
+
+    if (!response.ok) throw new Error(`Failed to fetch the cart: HTTP error ${response.status}`);
+
+    this.#cart = await response.json();
+
+    return /** @type {Cart} */ (this.#cart);
+  }
+
+  /**
+   * Sends a mutation to the Cart API and dispatches the resulting event.
+   * @param {string} url - The Cart API endpoint
+   * @param {FormData | Record<string, unknown>} body - The request body
+   * @param {typeof CartAddEvent | typeof CartUpdateEvent} EventClass - The event dispatched on success
+   * @param {CartMutationOptions} options
+   * @returns {Promise<CartMutationResult>}
+   */
+  #mutate(url, body, EventClass, options) {
+    const { target = document, sourceId = '', sections = [], data = {} } = options;
+
+    return this.#enqueue(async () => {
+      // The cart before the mutation, to tell whether a failed one still changed it
+      const previous = this.#cart ?? (await this.#fetchCart().catch(() => null));
+
+      try {
+        const response = await fetch(url, this.#buildRequest(body, sections));
+        const payload = await response.json();
+
+        if (payload.status) {
+          throw new CartError(payload.message, payload.description, payload.errors);
+        }
+
+        // `/cart/add.js` only returns the added items, every other endpoint returns the full cart
+        const cart = 'item_count' in payload ? payload : await this.#fetchCart();
+        this.#cart = cart;
+        this.#publish(cart);
+
+        target.dispatchEvent(
+          new EventClass(cart, sourceId, {
+            itemCount: cart.item_count,
+            sections: payload.sections,
+            ...data,
+          })
+        );
+
+        return { cart, sections: payload.sections, response: payload };
+      } catch (error) {
+        const cartError =
+          error instanceof CartError ? error : new CartError(error instanceof Error ? error.message : String(error));
+
+        // A rejected add can still partially succeed (e.g. capped at the available inventory)
+        const cart = await this.#fetchCart().catch(() => null);
+
+        if (cart) {
+          this.#publish(cart);
+
+          if (previous && getCartSignature(previous) !== getCartSignature(cart)) {
+            // Announce the lines that were added, the error below explains the ones that weren't
+            target.dispatchEvent(
+              new CartUpdateEvent(cart, sourceId, { itemCount: cart.item_count, didError: true, ...data })
+            );
+          }
+        }
+
+        target.dispatchEvent(new CartErrorEvent(sourceId, cartError.message, cartError.description, cartError.errors));
+
+        throw cartError;
+      }
+    });
+  }
+
+  /**
+   * Publishes the cart to the other tabs.
+   * @param {Cart} cart
+   */
+  #publish(cart) {
+    if (this.#channel) {
+      this.#channel.postMessage({ cart });
+      return;
+    }
+
+    try {
+      localStorage.setItem(CART_STORAGE_KEY, JSON.stringify({ cart, timestamp: Date.now() }));
+    } catch (_) {
+      // Storage may be full or disabled, other tabs will catch up on their next mutation
+    }
+  }
+
+  /**
+   * Handles the cart published by another tab.
+   * @param {Cart | undefined} cart
+   */
+  #receive(cart) {
+    if (!cart?.items) return;
+    if (this.#cart && getCartSignature(this.#cart) === getCartSignature(cart)) return;
+
+    this.#cart = cart;
+    this.#dispatchSync(cart);
+  }
+
+  /**
+   * @param {StorageEvent} event
+   */
+  #onStorage = (event) => {
+    if (event.key !== CART_STORAGE_KEY || !event.newValue) return;
+
+    try {
+      this.#receive(JSON.parse(event.newValue).cart);
+    } catch (_) {
+      // no-op
+    }
+  };
+
+  /**
+   * @param {Cart} cart
+   */
+  #dispatchSync(cart) {
+    document.dispatchEvent(
+      new CartUpdateEvent(cart, CART_SYNC_SOURCE, { itemCount: cart.item_count, source: CART_SYNC_SOURCE })
+    );
+  }
+
+  /**
+   * @param {FormData | Record<string, unknown>} body
+   * @param {string[]} sections
+   * @returns {RequestInit}
+   */
+  #buildRequest(body, sections) {
+    if (body instanceof FormData) {
+      if (sections.length) {
+        body.set('sections', sections.join(','));
+        body.set('sections_url', window.location.pathname);
+      }
+
+      return fetchConfig('javascript', { body });
+    }
+
+    const payload = sections.length ? { ...body, sections, sections_url: window.location.pathname } : body;
+
+    return fetchConfig('json', { body: JSON.stringify(payload) });
+  }
+}
+
+/**
+ * Builds a string that changes whenever the contents of the cart change.
+ * @param {Cart} cart
+ * @returns {string}
+ */
+function getCartSignature(cart) {
+  return JSON.stringify([
+    cart.total_price,
+    cart.note,
+    cart.attributes,
+    cart.items.map((item) => [item.key, item.quantity]),
+  ]);
+}
+
+/**
+ * Creates an id shared by the lines of one group.
+ * @returns {string}
+ */
+export function createGroupId() {
+  if (typeof crypto.randomUUID === 'function') return crypto.randomUUID();
+
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+export const cartStore = new CartStore();
@@ -0,0 +1,433 @@
+import { Component } from '@theme/component';
+import { cartStore } from '@theme/cart-store';
+
+/** One day, in milliseconds */
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {object} DeliveryConfig
+ * @property {number} leadTimeDays - The number of days needed to prepare an order
+ * @property {number} cutoffHour - The hour, in the store's time zone, after which orders count from the next day
+ * @property {number} maxDaysAhead - How far ahead deliveries can be booked, in days
+ * @property {string} timezoneOffset - The store's UTC offset, like `+0200`
+ * @property {number[]} capacity - The number of deliveries per weekday, starting on Sunday
+ * @property {string[]} blackoutDates - Dates without deliveries, as `YYYY-MM-DD`
+ * @property {Record<string, number>} booked - The number of deliveries already booked, by date
+ */
+
+/**
+ * A custom element that lets the shopper choose a delivery date on a calendar, and a time slot.
+ *
+ * The date is written to an input that belongs to the buy buttons form on product pages, so the product form
+ * sends it as a line item property. In the cart, the date and time slot are saved as cart attributes.
+ *
+ * Dates are handled as UTC dates that stand for days in the store's time zone.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLScriptElement} config - The delivery schedule, as JSON.
+ * @property {HTMLElement} month - The name of the month shown.
+ * @property {HTMLButtonElement} previousMonth - The button that shows the previous month.
+ * @property {HTMLButtonElement} nextMonth - The button that shows the next month.
+ * @property {HTMLTableRowElement} weekdays - The row of weekday names.
+ * @property {HTMLTableSectionElement} days - The days of the month shown.
+ * @property {HTMLInputElement} dateInput - The input holding the chosen date, as `YYYY-MM-DD`.
+ * @property {HTMLElement} summary - The chosen date, spelled out.
+ *
+ * @extends {Component<Refs>}
+ */
+class DeliveryDatePickerComponent extends Component {
+  requiredRefs = ['config', 'month', 'previousMonth', 'nextMonth', 'weekdays', 'days', 'dateInput', 'summary'];
+
+  /** @type {DeliveryConfig} */
+  #config = {
+    leadTimeDays: 0,
+    cutoffHour: 24,
+    maxDaysAhead: 60,
+    timezoneOffset: '+0000',
+    capacity: [],
+    blackoutDates: [],
+    booked: {},
+  };
+  /** The first day of the month shown */
+  #month = new Date(0);
+  /** The day that can be focused with the tab key */
+  #focusedDate = new Date(0);
+  /** The first day that can be chosen */
+  #firstDate = new Date(0);
+  /** The last day that can be chosen */
+  #lastDate = new Date(0);
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    try {
+      this.#config = { ...this.#config, ...JSON.parse(this.refs.config.textContent || '{}') };
+    } catch (_) {
+      // Keep the defaults, every day in the booking window stays available
+    }
+
+    const now = getStoreNow(this.#config.timezoneOffset);
+    const today = startOfDay(now);
+    const isPastCutoff = now.getUTCHours() >= this.#config.cutoffHour;
+
+    this.#firstDate = addDays(today, this.#config.leadTimeDays + (isPastCutoff ? 1 : 0));
+    this.#lastDate = addDays(today, this.#config.maxDaysAhead);
+
+    // A date saved earlier may not be available anymore
+    const saved = this.refs.dateInput.value ? parseDate(this.refs.dateInput.value) : null;
+    if (saved && !this.#isAvailable(saved)) this.#setDate(null);
+
+    this.#focusedDate = this.selectedDate ?? this.#findFirstAvailableDate() ?? this.#firstDate;
+    this.#month = startOfMonth(this.#focusedDate);
+
+    this.#renderWeekdays();
+    this.#render();
+  }
+
+  /**
+   * The chosen date, or null.
+   * @returns {Date | null}
+   */
+  get selectedDate() {
+    const { value } = this.refs.dateInput;
+
+    return value ? parseDate(value) : null;
+  }
+
+  showPreviousMonth() {
+    this.#showMonth(addMonths(this.#month, -1));
+  }
+
+  showNextMonth() {
+    this.#showMonth(addMonths(this.#month, 1));
+  }
+
+  /**
+   * Chooses the date of the clicked day.
+   * @param {MouseEvent} event
+   */
+  selectDate(event) {
+    if (!(event.target instanceof Element)) return;
+
+    const button = event.target.closest('button[data-date]');
+    if (!(button instanceof HTMLButtonElement) || button.getAttribute('aria-disabled') === 'true') return;
+
+    const date = parseDate(button.dataset.date ?? '');
+    if (!date) return;
+
+    this.#focusedDate = date;
+    this.#setDate(date);
+    this.#render();
+  }
+
+  /**
+   * Moves the focus between days, following the keyboard interaction of the ARIA date picker pattern.
+   * @param {KeyboardEvent} event
+   */
+  handleKeyDown(event) {
+    const date = this.#focusedDate;
+    const weekday = date.getUTCDay();
+
+    /** @type {Record<string, Date>} */
+    const targets = {
+      ArrowLeft: addDays(date, -1),
+      ArrowRight: addDays(date, 1),
+      ArrowUp: addDays(date, -7),
+      ArrowDown: addDays(date, 7),
+      Home: addDays(date, -weekday),
+      End: addDays(date, 6 - weekday),
+      PageUp: addMonths(date, -1),
+      PageDown: addMonths(date, 1),
+    };
+
+    const target = targets[event.key];
+    if (!target) return;
+
+    event.preventDefault();
+
+    // Stay within the months that have days to choose from
+    if (startOfMonth(target) < startOfMonth(this.#firstDate) || startOfMonth(target) > startOfMonth(this.#lastDate)) {
+      return;
+    }
+
+    this.#focusedDate = target;
+    this.#month = startOfMonth(target);
+    this.#render();
+    this.#getDayButton(target)?.focus();
+  }
+
+  /**
+   * Saves the time slot as a cart attribute. On product pages the radio button is sent with the product form.
+   * @param {Event} event
+   */
+  selectTimeSlot(event) {
+    if (this.dataset.mode !== 'cart' || !(event.target instanceof HTMLInputElement)) return;
+
+    this.#saveAttributes({ [this.dataset.timeProperty ?? '']: event.target.value });
+  }
+
+  /**
+   * @param {Date} month - The first day of the month to show.
+   */
+  #showMonth(month) {
+    this.#month = month;
+
+    // Keep the focusable day in the month shown
+    const focusedDate = new Date(month);
+    focusedDate.setUTCDate(Math.min(this.#focusedDate.getUTCDate(), daysInMonth(month)));
+    this.#focusedDate = focusedDate;
+
+    this.#render();
+  }
+
+  /**
+   * @param {Date | null} date
+   */
+  #setDate(date) {
+    const { dateInput } = this.refs;
+    const value = date ? formatDate(date) : '';
+
+    if (dateInput.value === value) return;
+
+    dateInput.value = value;
+    dateInput.dispatchEvent(new Event('change', { bubbles: true }));
+
+    if (this.dataset.mode === 'cart') this.#saveAttributes({ [this.dataset.dateProperty ?? '']: value });
+  }
+
+  /**
+   * @param {Record<string, string>} attributes
+   */
+  #saveAttributes(attributes) {
+    cartStore.updateAttributes(attributes, { sourceId: this.id }).catch(() => {
+      // The cart store dispatches a `CartErrorEvent`
+    });
+  }
+
+  /**
+   * Whether deliveries can be booked on a date.
+   * @param {Date} date
+   * @returns {boolean}
+   */
+  #isAvailable(date) {
+    const { capacity, blackoutDates, booked } = this.#config;
+    const key = formatDate(date);
+
+    if (date < this.#firstDate || date > this.#lastDate) return false;
+    if (blackoutDates.includes(key)) return false;
+
+    const dayCapacity = capacity[date.getUTCDay()];
+
+    return dayCapacity === undefined || dayCapacity > (booked[key] ?? 0);
+  }
+
+  /**
+   * @returns {Date | null} The first date deliveries can be booked on.
+   */
+  #findFirstAvailableDate() {
+    for (let date = this.#firstDate; date <= this.#lastDate; date = addDays(date, 1)) {
+      if (this.#isAvailable(date)) return date;
+    }
+
+    return null;
+  }
+
+  #renderWeekdays() {
+    const formatter = new Intl.DateTimeFormat(document.documentElement.lang || undefined, {
+      weekday: 'short',
+      timeZone: 'UTC',
+    });
+    const longFormatter = new Intl.DateTimeFormat(document.documentElement.lang || undefined, {
+      weekday: 'long',
+      timeZone: 'UTC',
+    });
+    // January 4th 1970 was a Sunday
+    const sunday = new Date(Date.UTC(1970, 0, 4));
+
+    this.refs.weekdays.replaceChildren(
+      ...Array.from({ length: 7 }, (_, index) => {
+        const day = addDays(sunday, index);
+        const cell = document.createElement('th');
+
+        cell.scope = 'col';
+        cell.abbr = longFormatter.format(day);
+        cell.textContent = formatter.format(day);
+
+        return cell;
+      })
+    );
+  }
+
+  #render() {
+    const { month, previousMonth, nextMonth, days } = this.refs;
+    const locale = document.documentElement.lang || undefined;
+    const selectedDate = this.selectedDate;
+    const dayFormatter = new Intl.DateTimeFormat(locale, { dateStyle: 'full', timeZone: 'UTC' });
+
+    month.textContent = new Intl.DateTimeFormat(locale, { month: 'long', year: 'numeric', timeZone: 'UTC' }).format(
+      this.#month
+    );
+    previousMonth.disabled = this.#month <= startOfMonth(this.#firstDate);
+    nextMonth.disabled = this.#month >= startOfMonth(this.#lastDate);
+
+    const rows = [];
+    let row = document.createElement('tr');
+
+    // Leading empty cells, weeks start on Sunday
+    for (let index = 0; index < this.#month.getUTCDay(); index++) {
+      row.append(document.createElement('td'));
+    }
+
+    for (let day = 1; day <= daysInMonth(this.#month); day++) {
+      const date = new Date(Date.UTC(this.#month.getUTCFullYear(), this.#month.getUTCMonth(), day));
+      const cell = document.createElement('td');
+      const button = document.createElement('button');
+      const isSelected = selectedDate?.getTime() === date.getTime();
+
+      cell.setAttribute('role', 'gridcell');
+      cell.setAttribute('aria-selected', String(isSelected));
+
+      button.type = 'button';
+      button.className = 'delivery-date-picker__day';
+      button.dataset.date = formatDate(date);
+      button.textContent = String(day);
+      button.tabIndex = date.getTime() === this.#focusedDate.getTime() ? 0 : -1;
+      button.setAttribute('aria-label', dayFormatter.format(date));
+      if (!this.#isAvailable(date)) button.setAttribute('aria-disabled', 'true');
+
+      cell.append(button);
+      row.append(cell);
+
+      if (date.getUTCDay() === 6) {
+        rows.push(row);
+        row = document.createElement('tr');
+      }
+    }
+
+    if (row.childElementCount > 0) rows.push(row);
+
+    days.replaceChildren(...rows);
+
+    this.#renderSummary(selectedDate, dayFormatter);
+  }
+
+  /**
+   * @param {Date | null} selectedDate
+   * @param {Intl.DateTimeFormat} formatter
+   */
+  #renderSummary(selectedDate, formatter) {
+    const { summary, dateInput } = this.refs;
+    const { selectedTemplate = '[date]', emptyText = '', unavailableText = '' } = summary.dataset;
+
+    if (selectedDate) {
+      summary.textContent = selectedTemplate.replace('[date]', formatter.format(selectedDate));
+    } else if (!this.#findFirstAvailableDate()) {
+      summary.textContent = unavailableText;
+    } else {
+      summary.textContent = emptyText;
+    }
+
+    dateInput.setCustomValidity(dateInput.required && !selectedDate ? emptyText : '');
+  }
+
+  /**
+   * @param {Date} date
+   * @returns {HTMLButtonElement | null}
+   */
+  #getDayButton(date) {
+    return this.refs.days.querySelector(`button[data-date="${formatDate(date)}"]`);
+  }
+}
+
+if (!customElements.get('delivery-date-picker-component')) {
+  customElements.define('delivery-date-picker-component', DeliveryDatePickerComponent);
+}
+
+/**
+ * Parses a UTC offset like `+0200` or `-0530`.
+ * @param {string} offset
+ * @returns {number} The offset, in milliseconds.
+ */
+function parseOffset(offset) {
+  const match = /^([+-])(\d{2}):?(\d{2})$/.exec(offset);
+  if (!match) return 0;
+
+  const [, sign, hours, minutes] = match;
+
+  return (sign === '-' ? -1 : 1) * (Number(hours) * 60 + Number(minutes)) * 60 * 1000;
+}
+
+/**
+ * @param {string} offset - The store's UTC offset.
+ * @returns {Date} The current time in the store's time zone, read with the UTC methods.
+ */
+function getStoreNow(offset) {
+  return new Date(Date.now() + parseOffset(offset));
+}
+
+/**
+ * @param {Date} date
+ * @returns {Date}
+ */
+function startOfDay(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+/**
+ * @param {string} value - A date formatted as `YYYY-MM-DD`.
+ * @returns {Date | null}
+ */
+function parseDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (!match) return null;
+
+  const [, year, month, day] = match;
+
+  return new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+}
+
+/**
+ * @param {Date} date
+ * @returns {string} The date formatted as `YYYY-MM-DD`.
+ */
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * @param {Date} date
+ * @param {number} days
+ * @returns {Date}
+ */
+function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY);
+}
+
+/**
+ * Moves a date by whole months, keeping the day within the new month.
+ * @param {Date} date
+ * @param {number} months
+ * @returns {Date}
+ */
+function addMonths(date, months) {
+  const month = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+  month.setUTCDate(Math.min(date.getUTCDate(), daysInMonth(month)));
+
+  return month;
+}
+
+/**
+ * @param {Date} date
+ * @returns {Date}
+ */
+function startOfMonth(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+}
+
+/**
+ * @param {Date} date
+ * @returns {number}
+ */
+function daysInMonth(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+}
@@ -0,0 +1,366 @@
+import { clamp, prefersReducedMotion } from '@theme/utilities';
+
+/** The scale of an image that isn't zoomed */
+const MIN_SCALE = 1;
+/** The maximum scale of an image */
+const MAX_SCALE = 4;
+/** The scale a double tap zooms to */
+const DOUBLE_TAP_SCALE = 2;
+/** The maximum time between the taps of a double tap, in milliseconds */
+const DOUBLE_TAP_DELAY = 300;
+/** The maximum distance between the taps of a double tap, in pixels */
+const DOUBLE_TAP_DISTANCE = 30;
+/** The distance a pointer can move before a tap becomes a drag, in pixels */
+const DRAG_THRESHOLD = 5;
+/** How much of the velocity is kept per frame when a pan is released */
+const MOMENTUM_FRICTION = 0.92;
+/** The velocity under which the momentum stops, in pixels per millisecond */
+const MOMENTUM_MIN_VELOCITY = 0.02;
+
+/**
+ * @typedef {object} Point
+ * @property {number} x
+ * @property {number} y
+ */
+
+/**
+ * A custom element that lets the shopper zoom into and pan the image it wraps, with pinch, wheel and double tap.
+ * The transform is applied through the `--drag-zoom-scale` and `--drag-zoom-translate-*` custom properties.
+ */
+export class DragZoomWrapper extends HTMLElement {
+  #scale = MIN_SCALE;
+  /** The offset of the image from its center, in screen pixels */
+  #offset = { x: 0, y: 0 };
+
+  /** @type {Map<number, Point>} */
+  #pointers = new Map();
+  /** @type {{ distance: number, scale: number, midpoint: Point } | null} */
+  #pinch = null;
+  /** @type {{ start: Point, moved: boolean }  | null} */
+  #drag = null;
+  #velocity = { x: 0, y: 0 };
+  #lastMoveTime = 0;
+  #momentumFrame = 0;
+  /** @type {{ time: number, point: Point } | null} */
+  #lastTap = null;
+  /** Whether the last gesture should swallow the click that follows it */
+  #preventClick = false;
+  /** The type of the last pointer pressed on the element */
+  #pointerType = '';
+
+  connectedCallback() {
+    this.addEventListener('pointerdown', this.#handlePointerDown);
+    this.addEventListener('pointermove', this.#handlePointerMove);
+    this.addEventListener('pointerup', this.#handlePointerUp);
+    this.addEventListener('pointercancel', this.#handlePointerUp);
+    this.addEventListener('wheel', this.#handleWheel, { passive: false });
+    this.addEventListener('click', this.#handleClick, { capture: true });
+  }
+
+  disconnectedCallback() {
+    this.removeEventListener('pointerdown', this.#handlePointerDown);
+    this.removeEventListener('pointermove', this.#handlePointerMove);
+    this.removeEventListener('pointerup', this.#handlePointerUp);
+    this.removeEventListener('pointercancel', this.#handlePointerUp);
+    this.removeEventListener('wheel', this.#handleWheel);
+    this.removeEventListener('click', this.#handleClick, { capture: true });
+
+    cancelAnimationFrame(this.#momentumFrame);
+  }
+
+  /**
+   * The current scale of the image.
+   * @returns {number}
+   */
+  get scale() {
+    return this.#scale;
+  }
+
+  /**
+   * Whether the image is zoomed in.
+   * @returns {boolean}
+   */
+  get zoomed() {
+    return this.#scale > MIN_SCALE;
+  }
+
+  /**
+   * Zooms to a scale, keeping the point under the given client coordinates in place.
+   * @param {number} scale - The new scale, clamped to the supported range.
+   * @param {Point} [origin] - The client coordinates to zoom around, defaults to the center.
+   */
+  zoomTo(scale, origin) {
+    const newScale = clamp(scale, MIN_SCALE, MAX_SCALE);
+    const point = origin ? this.#fromCenter(origin) : { x: 0, y: 0 };
+    const ratio = newScale / this.#scale;
+
+    this.#scale = newScale;
+    this.#offset = {
+      x: point.x - (point.x - this.#offset.x) * ratio,
+      y: point.y - (point.y - this.#offset.y) * ratio,
+    };
+
+    this.#render();
+  }
+
+  /**
+   * Zooms in or out by a factor.
+   * @param {number} factor - Above 1 zooms in, below 1 zooms out.
+   * @param {Point} [origin] - The client coordinates to zoom around.
+   */
+  zoomBy(factor, origin) {
+    this.zoomTo(this.#scale * factor, origin);
+  }
+
+  /**
+   * Zooms to `DOUBLE_TAP_SCALE`, or back out if the image is zoomed.
+   * @param {Point} [origin] - The client coordinates to zoom around.
+   */
+  toggleZoom(origin) {
+    this.zoomTo(this.zoomed ? MIN_SCALE : DOUBLE_TAP_SCALE, origin);
+  }
+
+  /**
+   * Moves the zoomed image.
+   * @param {number} x - The horizontal distance, in pixels.
+   * @param {number} y - The vertical distance, in pixels.
+   */
+  panBy(x, y) {
+    this.#offset = { x: this.#offset.x + x, y: this.#offset.y + y };
+    this.#render();
+  }
+
+  /**
+   * Zooms all the way out.
+   */
+  reset() {
+    cancelAnimationFrame(this.#momentumFrame);
+
+    this.#pointers.clear();
+    this.#pinch = null;
+    this.#drag = null;
+    this.#scale = MIN_SCALE;
+    this.#offset = { x: 0, y: 0 };
+
+    this.#render();
+  }
+
+  /**
+   * @param {PointerEvent} event
+   */
+  #handlePointerDown = (event) => {
+    if (event.pointerType === 'mouse' && event.button !== 0) return;
+
+    cancelAnimationFrame(this.#momentumFrame);
+
+    this.#pointerType = event.pointerType;
+    this.#pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+    this.setPointerCapture(event.pointerId);
+
+    if (this.#pointers.size === 2) {
+      const [first, second] = [...this.#pointers.values()];
+      if (!first || !second) return;
+
+      this.#pinch = { distance: distance(first, second), scale: this.#scale, midpoint: midpoint(first, second) };
+      this.#drag = null;
+    } else if (this.#pointers.size === 1) {
+      this.#drag = { start: { x: event.clientX, y: event.clientY }, moved: false };
+      this.#velocity = { x: 0, y: 0 };
+      this.#lastMoveTime = event.timeStamp;
+    }
+  };
+
+  /**
+   * @param {PointerEvent} event
+   */
+  #handlePointerMove = (event) => {
+    const previous = this.#pointers.get(event.pointerId);
+    if (!previous) return;
+
+    const current = { x: event.clientX, y: event.clientY };
+    this.#pointers.set(event.pointerId, current);
+
+    if (this.#pinch) {
+      const [first, second] = [...this.#pointers.values()];
+      if (!first || !second) return;
+
+      const center = midpoint(first, second);
+
+      this.zoomTo((this.#pinch.scale * distance(first, second)) / this.#pinch.distance, center);
+      this.panBy(center.x - this.#pinch.midpoint.x, center.y - this.#pinch.midpoint.y);
+      this.#pinch.midpoint = center;
+      this.#preventClick = true;
+      return;
+    }
+
+    if (!this.#drag) return;
+
+    if (!this.#drag.moved && distance(this.#drag.start, current) > DRAG_THRESHOLD) {
+      this.#drag.moved = true;
+    }
+
+    if (!this.#drag.moved || !this.zoomed) return;
+
+    const elapsed = Math.max(event.timeStamp - this.#lastMoveTime, 1);
+    const delta = { x: current.x - previous.x, y: current.y - previous.y };
+
+    this.#velocity = { x: delta.x / elapsed, y: delta.y / elapsed };
+    this.#lastMoveTime = event.timeStamp;
+    this.#preventClick = true;
+
+    this.panBy(delta.x, delta.y);
+  };
+
+  /**
+   * @param {PointerEvent} event
+   */
+  #handlePointerUp = (event) => {
+    if (!this.#pointers.delete(event.pointerId)) return;
+
+    if (this.#pinch) {
+      // Lifting one finger of a pinch ends the gesture, the other finger doesn't start a pan
+      if (this.#pointers.size < 2) this.#pinch = null;
+      return;
+    }
+
+    const drag = this.#drag;
+    this.#drag = null;
+
+    if (!drag || event.type === 'pointercancel') return;
+
+    if (drag.moved) {
+      if (this.zoomed && event.timeStamp - this.#lastMoveTime < 100) this.#startMomentum();
+      return;
+    }
+
+    if (event.pointerType === 'touch') this.#handleTap({ x: event.clientX, y: event.clientY }, event.timeStamp);
+  };
+
+  /**
+   * Toggles the zoom when the tap follows another one closely.
+   * @param {Point} point
+   * @param {number} time
+   */
+  #handleTap(point, time) {
+    const lastTap = this.#lastTap;
+
+    if (lastTap && time - lastTap.time < DOUBLE_TAP_DELAY && distance(lastTap.point, point) < DOUBLE_TAP_DISTANCE) {
+      this.#lastTap = null;
+      this.#preventClick = true;
+      this.toggleZoom(point);
+      return;
+    }
+
+    this.#lastTap = { time, point };
+  }
+
+  /**
+   * Zooms with ctrl + wheel, which is also what trackpad pinches report. The wheel pans a zoomed image.
+   * @param {WheelEvent} event
+   */
+  #handleWheel = (event) => {
+    if (event.ctrlKey || event.metaKey) {
+      event.preventDefault();
+      this.zoomBy(Math.exp(-event.deltaY * 0.01), { x: event.clientX, y: event.clientY });
+      return;
+    }
+
+    if (!this.zoomed) return;
+
+    event.preventDefault();
+    this.panBy(-event.deltaX, -event.deltaY);
+  };
+
+  /**
+   * Keeps clicks that end a gesture, or land on a zoomed image, from closing the dialog. Clicking a zoomed image
+   * with a mouse zooms back out, touch zooms out with a double tap.
+   * @param {MouseEvent} event
+   */
+  #handleClick = (event) => {
+    if (!this.#preventClick && !this.zoomed) return;
+
+    event.preventDefault();
+    event.stopPropagation();
+
+    if (!this.#preventClick && this.#pointerType === 'mouse') this.zoomTo(MIN_SCALE);
+
+    this.#preventClick = false;
+  };
+
+  #startMomentum() {
+    if (prefersReducedMotion()) return;
+
+    let lastTime = performance.now();
+
+    /** @param {number} time */
+    const step = (time) => {
+      const elapsed = time - lastTime;
+      const friction = Math.pow(MOMENTUM_FRICTION, elapsed / 16);
+      lastTime = time;
+
+      const before = { ...this.#offset };
+      this.panBy(this.#velocity.x * elapsed, this.#velocity.y * elapsed);
+
+      // Stop along the axes that hit the bounds
+      if (this.#offset.x === before.x) this.#velocity.x = 0;
+      if (this.#offset.y === before.y) this.#velocity.y = 0;
+
+      this.#velocity = { x: this.#velocity.x * friction, y: this.#velocity.y * friction };
+
+      if (Math.hypot(this.#velocity.x, this.#velocity.y) < MOMENTUM_MIN_VELOCITY) return;
+
+      this.#momentumFrame = requestAnimationFrame(step);
+    };
+
+    this.#momentumFrame = requestAnimationFrame(step);
+  }
+
+  /**
+   * Converts client coordinates to coordinates relative to the center of the element.
+   * @param {Point} point
+   * @returns {Point}
+   */
+  #fromCenter(point) {
+    const rect = this.getBoundingClientRect();
+
+    return { x: point.x - rect.left - rect.width / 2, y: point.y - rect.top - rect.height / 2 };
+  }
+
+  /**
+   * Clamps the offset so the image always covers the element, and applies the transform.
+   */
+  #render() {
+    const maxX = ((this.#scale - 1) * this.clientWidth) / 2;
+    const maxY = ((this.#scale - 1) * this.clientHeight) / 2;
+
+    this.#offset = { x: clamp(this.#offset.x, -maxX, maxX), y: clamp(this.#offset.y, -maxY, maxY) };
+
+    // The translation is applied after the scale, so it's in scaled pixels
+    this.style.setProperty('--drag-zoom-scale', String(this.#scale));
+    this.style.setProperty('--drag-zoom-translate-x', `${this.#offset.x / this.#scale}px`);
+    this.style.setProperty('--drag-zoom-translate-y', `${this.#offset.y / this.#scale}px`);
+    this.classList.toggle('drag-zoom-wrapper--zoomed', this.zoomed);
+  }
+}
+
+/**
+ * @param {Point} a
+ * @param {Point} b
+ * @returns {number}
+ */
+function distance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+/**
+ * @param {Point} a
+ * @param {Point} b
+ * @returns {Point}
+ */
+function midpoint(a, b) {
+  return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+}
+
+if (!customElements.get('drag-zoom-wrapper')) {
+  customElements.define('drag-zoom-wrapper', DragZoomWrapper);
+}
@@ -14,6 +14,8 @@ export class ThemeEvents {
   static cartUpdate = 'cart:update';
   /** @static @constant {string} Event triggered when a cart update fails */
   static cartError = 'cart:error';
+  /** @static @constant {string} Event triggered when the cart is updated locally, before the server confirms it */
+  static cartOptimisticUpdate = 'cart:optimistic-update';
   /** @static @constant {string} Event triggered when a media (video, 3d model) is loaded */
   static mediaStartedPlaying = 'media:started-playing';
   // Event triggered when quantity-selector value is changed
@@ -22,6 +24,10 @@ export class ThemeEvents {
   static megaMenuHover = 'megaMenu:hover';
   /** @static @constant {string} Event triggered when a zoom dialog media is selected */
   static zoomMediaSelected = 'zoom-media:selected';
+  /** @static @constant {string} Event triggered when the saved for later list changes */
+  static savedForLaterUpdate = 'saved-for-later:update';
+  /** @static @constant {string} Event triggered when a product is added to or removed from the wishlist */
+  static wishlistUpdate = 'wishlist:update';
   /** @static @constant {string} Event triggered when a discount is applied */
   static discountUpdate = 'discount:update';
   /** @static @constant {string} Event triggered when changing collection filters */
@@ -64,7 +70,8 @@ export class VariantUpdateEvent extends Event {
    * @param {string} [resource.featured_media.preview_image.src] - The src URL of the preview image
    * @param {string} sourceId - The id of the element the action was triggered from
    * @param {Object} data - Additional event data
-   * @param {Document} data.html - The new document fragment for the variant
+   * @param {Document} [data.html] - The new document fragment for the variant, absent when the variant picker
+   * resolved the variant from its embedded variants
    * @param {string} data.productId - The product ID of the updated variant, used to ensure the correct product form is updated
    * @param {Object} [data.newProduct] - If a new product was loaded as part of the variant update (combined listing)
    * @param {string} data.newProduct.id - The id of the new product
@@ -169,6 +176,68 @@ export class CartErrorEvent extends Event {
   }
 }
 
+/**
+ * Event class for optimistic cart updates. The cart is a local projection and may still be rolled back
+ * by a `CartErrorEvent`.
+ * @extends {Event}
+ */
+export class CartOptimisticUpdateEvent extends Event {
+  /**
+   * Creates a new CartOptimisticUpdateEvent
+   * @param {Object} resource - The projected cart object
+   * @param {number} resource.item_count - The projected number of items in the cart
+   * @param {number} resource.total_price - The projected total price in cents
+   * @param {string} sourceId - The id of the element the action was triggered from
+   */
+  constructor(resource, sourceId) {
+    super(ThemeEvents.cartOptimisticUpdate, { bubbles: true });
+    this.detail = {
+      resource,
+      sourceId,
+    };
+  }
+}
+
+/**
+ * Event class for saved for later list updates
+ * @extends {Event}
+ */
+export class SavedForLaterUpdateEvent extends Event {
+  /**
+   * Creates a new SavedForLaterUpdateEvent
+   * @param {Object[]} resource - The saved items
+   */
+  constructor(resource) {
+    super(ThemeEvents.savedForLaterUpdate, { bubbles: true });
+    this.detail = {
+      resource,
+    };
+  }
+}
+
+/**
+ * Event class for wishlist updates
+ * @extends {Event}
+ */
+export class WishlistUpdateEvent extends Event {
+  /**
+   * Creates a new WishlistUpdateEvent
+   * @param {{handle: string, id: string}[]} resource - The products in the wishlist
+   * @param {Object} [data] - Additional event data
+   * @param {string} [data.handle] - The handle of the product that was added or removed
+   * @param {boolean} [data.added] - Whether the product was added
+   */
+  constructor(resource, data) {
+    super(ThemeEvents.wishlistUpdate, { bubbles: true });
+    this.detail = {
+      resource,
+      data: {
+        ...data,
+      },
+    };
+  }
+}
+
 /**
  * Event class for quantity-selector updates
  * @extends {Event}
@@ -1,6 +1,7 @@
-import { sectionRenderer } from '@theme/section-renderer';
+import { buildSectionSelector, normalizeSectionId, sectionRenderer } from '@theme/section-renderer';
 import { Component } from '@theme/component';
 import { FilterUpdateEvent, ThemeEvents } from '@theme/events';
+import { morph } from '@theme/morph';
 import { debounce, formatMoney, startViewTransition } from '@theme/utilities';
 
 /**
@@ -9,6 +10,12 @@ import { debounce, formatMoney, startViewTransition } from '@theme/utilities';
  */
 const SEARCH_QUERY = 'q';
 
+/**
+ * How long to wait for more filter changes before fetching the results, in milliseconds.
+ * @type {number}
+ */
+const RESULTS_UPDATE_DELAY = 300;
+
 /**
  * Handles the main facets form functionality
  *
@@ -21,6 +28,9 @@ const SEARCH_QUERY = 'q';
 class FacetsFormComponent extends Component {
   requiredRefs = ['facetsForm'];
 
+  /** @type {AbortController | undefined} */
+  #resultsAbortController;
+
   /**
    * Creates URL parameters from form data
    * @param {FormData} [formData] - Optional form data to use instead of the main form
@@ -83,15 +93,79 @@ class FacetsFormComponent extends Component {
    * Updates the section
    */
   #updateSection() {
+    if (this.hasAttribute('update-results-only')) {
+      // Results of the previous filters are outdated, even if they're still loading
+      this.#resultsAbortController?.abort();
+      this.#updateResults();
+      return;
+    }
+
     const viewTransition = !this.closest('dialog');
+    const sectionIds = this.#getFilteredSectionIds();
 
     if (viewTransition) {
-      startViewTransition(() => sectionRenderer.renderSection(this.sectionId), ['product-grid']);
+      startViewTransition(() => sectionRenderer.renderSections(sectionIds), ['product-grid']);
     } else {
-      sectionRenderer.renderSection(this.sectionId);
+      sectionRenderer.renderSections(sectionIds);
+    }
+  }
+
+  /**
+   * Gets the sections that render the filtered results, so they're refreshed together in one request.
+   * @returns {string[]} The section IDs, this section first
+   */
+  #getFilteredSectionIds() {
+    const sectionIds = new Set([normalizeSectionId(this.sectionId)]);
+
+    for (const element of document.querySelectorAll('facets-form-component[section-id], results-list[section-id]')) {
+      const sectionId = element.getAttribute('section-id');
+      if (sectionId) sectionIds.add(normalizeSectionId(sectionId));
     }
+
+    return [...sectionIds];
   }
 
+  /**
+   * Updates the product grid and the filter values with the results of the current URL, leaving the open panels,
+   * focus and scroll position alone.
+   */
+  #updateResults = debounce(async () => {
+    const abortController = new AbortController();
+    this.#resultsAbortController = abortController;
+
+    /** @type {string} */
+    let html;
+
+    try {
+      html = await sectionRenderer.getSectionHTML(
+        this.sectionId,
+        true,
+        new URL(window.location.href),
+        abortController.signal
+      );
+    } catch (_) {
+      if (abortController.signal.aborted) return;
+
+      // The URL already holds the filters, let the server render the results
+      window.location.assign(window.location.href);
+      return;
+    }
+
+    if (abortController.signal.aborted) return;
+
+    const sectionSelector = buildSectionSelector(normalizeSectionId(this.sectionId));
+    const section = document.getElementById(sectionSelector);
+    const newSection = new DOMParser().parseFromString(html, 'text/html').getElementById(sectionSelector);
+    if (!section || !newSection) return;
+
+    const { scrollY } = window;
+
+    updateFacetRegions(section, newSection);
+    updateFacetValues(section, newSection);
+
+    window.scrollTo({ top: scrollY, behavior: 'instant' });
+  }, RESULTS_UPDATE_DELAY);
+
   /**
    * Updates filters based on a provided URL
    * @param {string} url - The URL to update filters with
@@ -107,6 +181,53 @@ if (!customElements.get('facets-form-component')) {
   customElements.define('facets-form-component', FacetsFormComponent);
 }
 
+/**
+ * Morphs the parts of a section marked with `data-facets-update`, e.g. the product grid and the product count. They're
+ * matched by name, in order.
+ * @param {HTMLElement} section - The section on the page
+ * @param {HTMLElement} newSection - The section with the new results
+ */
+function updateFacetRegions(section, newSection) {
+  const newRegions = Array.from(newSection.querySelectorAll('[data-facets-update]'));
+
+  for (const region of section.querySelectorAll('[data-facets-update]')) {
+    const name = region.getAttribute('data-facets-update');
+    const index = newRegions.findIndex((newRegion) => newRegion.getAttribute('data-facets-update') === name);
+    if (index === -1) continue;
+
+    const [newRegion] = newRegions.splice(index, 1);
+    if (newRegion) morph(region, newRegion);
+  }
+}
+
+/**
+ * Updates the result counts of the filter values, and disables the values that wouldn't return any results. The
+ * inputs are kept, so they don't lose focus.
+ * @param {HTMLElement} section - The section on the page
+ * @param {HTMLElement} newSection - The section with the new results
+ */
+function updateFacetValues(section, newSection) {
+  for (const item of section.querySelectorAll('[data-filter-count]')) {
+    const input = item.querySelector('input');
+    if (!input?.id) continue;
+
+    const newInput = newSection.querySelector(`#${CSS.escape(input.id)}`);
+    const newItem = newInput?.closest('[data-filter-count]');
+    if (!(newInput instanceof HTMLInputElement) || !newItem) continue;
+
+    // The list items are marked with `data-skip-node-update`, only their children are morphed
+    morph(item, newItem);
+
+    item.setAttribute('data-filter-count', newItem.getAttribute('data-filter-count') ?? '');
+    item.classList.toggle(
+      'facets__inputs-list-item--disabled',
+      newItem.classList.contains('facets__inputs-list-item--disabled')
+    );
+
+    input.checked = newInput.checked;
+  }
+}
+
 /**
  * @typedef {Object} FacetInputsRefs
  * @property {HTMLInputElement[]} facetInputs - The facet input elements
@@ -180,7 +301,7 @@ class FacetInputsComponent extends Component {
 
     if (inputElement.checked) url.searchParams.delete(inputElement.name, inputElement.value);
 
-    sectionRenderer.getSectionHTML(this.sectionId, true, url);
+    sectionRenderer.prefetchSection(this.sectionId, url);
   }, 200);
 
   cancelPrefetchPage = () => this.prefetchPage.cancel();
@@ -1,5 +1,4 @@
-import { Component } from '@theme/component';
-import { ThemeEvents, CartErrorEvent, CartAddEvent } from '@theme/events';
+import { MessageForm } from '@theme/message-form';
 
 /**
  * @typedef {Object} GiftCardRecipientFormRefs
@@ -21,9 +20,9 @@ import { ThemeEvents, CartErrorEvent, CartAddEvent } from '@theme/events';
  */
 
 /**
- * @extends {Component<GiftCardRecipientFormRefs>}
+ * @extends {MessageForm<GiftCardRecipientFormRefs>}
  */
-class GiftCardRecipientForm extends Component {
+class GiftCardRecipientForm extends MessageForm {
   static DeliveryMode = {
     SELF: 'self', // Send to my email
     RECIPIENT: 'recipient_form', // Send to recipient's email with form
@@ -31,13 +30,14 @@ class GiftCardRecipientForm extends Component {
 
   #currentMode = GiftCardRecipientForm.DeliveryMode.SELF;
 
-  // Store bound event handlers for cleanup
-  /** @type {(() => void) | null} */
-  #updateCharacterCountBound = null;
-  /** @type {((event: Event) => void) | null} */
-  #displayCartErrorBound = null;
-  /** @type {(() => void) | null} */
-  #cartAddEventBound = null;
+  fields = {
+    email: { inputRef: 'recipientEmail', errorRef: 'emailError' },
+    name: { inputRef: 'recipientName', errorRef: 'nameError' },
+    message: { inputRef: 'recipientMessage', errorRef: 'messageError' },
+    send_on: { inputRef: 'recipientSendOn', errorRef: 'sendOnError' },
+  };
+
+  errorIdPrefix = 'RecipientForm';
 
   requiredRefs = [
     'myEmailButton',
@@ -50,45 +50,16 @@ class GiftCardRecipientForm extends Component {
   ];
 
   /**
-   * Get all recipient input fields
-   * @returns {(HTMLInputElement | HTMLTextAreaElement)[]} Array of input fields
+   * The message textarea, whose characters are counted
+   * @returns {HTMLTextAreaElement}
    */
-  get #inputFields() {
-    return [this.refs.recipientEmail, this.refs.recipientName, this.refs.recipientMessage, this.refs.recipientSendOn];
+  get messageInput() {
+    return this.refs.recipientMessage;
   }
 
   connectedCallback() {
     super.connectedCallback();
     this.#initializeForm();
-
-    this.#updateCharacterCountBound = () => this.#updateCharacterCount();
-    this.refs.recipientMessage.addEventListener('input', this.#updateCharacterCountBound);
-
-    this.#displayCartErrorBound = this.#displayCartError.bind(this);
-    // @ts-ignore - #displayCartErrorBound is guaranteed to be non-null here
-    document.addEventListener(ThemeEvents.cartError, this.#displayCartErrorBound);
-
-    this.#cartAddEventBound = () => this.#handleCartAdd();
-    document.addEventListener(ThemeEvents.cartUpdate, this.#cartAddEventBound);
-  }
-
-  disconnectedCallback() {
-    super.disconnectedCallback();
-
-    if (this.#updateCharacterCountBound) {
-      this.refs.recipientMessage.removeEventListener('input', this.#updateCharacterCountBound);
-      this.#updateCharacterCountBound = null;
-    }
-
-    if (this.#displayCartErrorBound) {
-      document.removeEventListener(ThemeEvents.cartError, this.#displayCartErrorBound);
-      this.#displayCartErrorBound = null;
-    }
-
-    if (this.#cartAddEventBound) {
-      document.removeEventListener(ThemeEvents.cartUpdate, this.#cartAddEventBound);
-      this.#cartAddEventBound = null;
-    }
   }
 
   /**
@@ -139,13 +110,10 @@ class GiftCardRecipientForm extends Component {
     if (isRecipientMode) {
       this.#enableRecipientFields();
 
-      this.#updateCharacterCount();
+      this.updateCharacterCount();
 
       // Announce to screen readers
-      if (this.refs.liveRegion) {
-        this.refs.liveRegion.textContent =
-          Theme.translations?.recipient_form_fields_visible || 'Recipient form fields are now visible';
-      }
+      this.announce(Theme.translations?.recipient_form_fields_visible || 'Recipient form fields are now visible');
 
       // Focus first field for accessibility
       this.refs.recipientEmail.focus();
@@ -154,10 +122,7 @@ class GiftCardRecipientForm extends Component {
       this.#disableRecipientFields();
 
       // Announce to screen readers
-      if (this.refs.liveRegion) {
-        this.refs.liveRegion.textContent =
-          Theme.translations?.recipient_form_fields_hidden || 'Recipient form fields are now hidden';
-      }
+      this.announce(Theme.translations?.recipient_form_fields_hidden || 'Recipient form fields are now hidden');
     }
 
     this.dispatchEvent(
@@ -201,19 +166,19 @@ class GiftCardRecipientForm extends Component {
    * Clear all recipient form fields
    */
   #clearRecipientFields() {
-    for (const field of this.#inputFields) {
+    for (const field of this.inputFields) {
       field.value = '';
     }
 
-    this.#updateCharacterCount();
-    this.#clearErrorMessages();
+    this.updateCharacterCount();
+    this.clearErrorMessages();
   }
 
   /**
    * Disable recipient form fields when sending to self
    */
   #disableRecipientFields() {
-    for (const field of this.#inputFields) {
+    for (const field of this.inputFields) {
       field.disabled = true;
       field.removeAttribute('required');
       field.removeAttribute('aria-invalid');
@@ -231,14 +196,14 @@ class GiftCardRecipientForm extends Component {
       this.refs.timezoneOffset.value = '';
     }
 
-    this.#clearErrorMessages();
+    this.clearErrorMessages();
   }
 
   /**
    * Enable recipient form fields when sending to recipient
    */
   #enableRecipientFields() {
-    for (const field of this.#inputFields) {
+    for (const field of this.inputFields) {
       field.disabled = false;
       if (field === this.refs.recipientEmail) {
         field.setAttribute('required', 'required');
@@ -265,23 +230,6 @@ class GiftCardRecipientForm extends Component {
     this.#setDateConstraints();
   }
 
-  /**
-   * Update character count display
-   */
-  #updateCharacterCount() {
-    if (!this.refs.characterCount) return;
-
-    const currentLength = this.refs.recipientMessage.value.length;
-    const maxLength = this.refs.recipientMessage.maxLength;
-
-    const template = this.refs.characterCount.getAttribute('data-template');
-    if (!template) return;
-
-    const updatedText = template.replace('[current]', currentLength.toString()).replace('[max]', maxLength.toString());
-
-    this.refs.characterCount.textContent = updatedText;
-  }
-
   /**
    * Set date constraints for the send on date picker
    * Prevents selecting past dates and limits to 90 days in the future
@@ -306,108 +254,6 @@ class GiftCardRecipientForm extends Component {
     this.refs.recipientSendOn.setAttribute('min', formatDate(today));
     this.refs.recipientSendOn.setAttribute('max', formatDate(maxDate));
   }
-
-  /**
-   * Handles cart error events
-   * @param {CartErrorEvent} event - The cart error event
-   */
-  #displayCartError(event) {
-    if (event.detail?.data) {
-      const { message, errors, description } = event.detail.data;
-
-      // Display the error message
-      if (errors && typeof errors === 'object') {
-        this.#displayErrorMessage(message || 'There was an error', errors);
-      } else if (message) {
-        this.#displayErrorMessage(message, description);
-      }
-    }
-  }
-
-  /**
-   * Display error messages in the appropriate error containers
-   * @param {string} title - The main error message title
-   * @param {Object} body - Error details
-   */
-  #displayErrorMessage(title, body) {
-    this.#clearErrorMessages();
-
-    if (typeof body === 'object' && body !== null) {
-      /** @type {Record<string, {inputRef: string, errorRef: string}>} */
-      const fieldMap = {
-        email: { inputRef: 'recipientEmail', errorRef: 'emailError' },
-        name: { inputRef: 'recipientName', errorRef: 'nameError' },
-        message: { inputRef: 'recipientMessage', errorRef: 'messageError' },
-        send_on: { inputRef: 'recipientSendOn', errorRef: 'sendOnError' },
-      };
-
-      for (const [field, errorMessages] of Object.entries(body)) {
-        const fieldConfig = fieldMap[field];
-        if (!fieldConfig) continue;
-
-        const { inputRef, errorRef } = fieldConfig;
-        const errorContainer = this.refs[errorRef];
-        const inputElement = this.refs[inputRef];
-
-        if (errorContainer && errorContainer instanceof HTMLElement) {
-          const errorTextElement = errorContainer.querySelector('span');
-          if (errorTextElement) {
-            const message = Array.isArray(errorMessages) ? errorMessages.join(', ') : errorMessages;
-            errorTextElement.textContent = `${message}.`;
-          }
-
-          errorContainer.classList.remove('hidden');
-        }
-
-        if (inputElement && inputElement instanceof HTMLElement) {
-          // Set ARIA attributes for accessibility
-          inputElement.setAttribute('aria-invalid', 'true');
-          const errorId = `RecipientForm-${field}-error-${this.dataset.sectionId || 'default'}`;
-          inputElement.setAttribute('aria-describedby', errorId);
-        }
-      }
-    }
-
-    // Announce errors to screen readers
-    if (this.refs.liveRegion) {
-      this.refs.liveRegion.textContent =
-        title || Theme.translations?.recipient_form_error || 'There was an error with the form submission';
-    }
-  }
-
-  /**
-   * Clear all error messages and reset ARIA attributes
-   */
-  #clearErrorMessages() {
-    // List of error container refs
-    const errorRefs = ['emailError', 'nameError', 'messageError', 'sendOnError'];
-
-    for (const errorRef of errorRefs) {
-      const errorContainer = this.refs[errorRef];
-      if (errorContainer && errorContainer instanceof HTMLElement) {
-        errorContainer.classList.add('hidden');
-        const errorTextElement = errorContainer.querySelector('span');
-        if (errorTextElement) {
-          errorTextElement.textContent = '';
-        }
-      }
-    }
-
-    // Remove ARIA attributes from all input fields
-    for (const field of this.#inputFields) {
-      field.removeAttribute('aria-invalid');
-      field.removeAttribute('aria-describedby');
-    }
-
-    // Clear live region announcement
-    if (this.refs.liveRegion) {
-      this.refs.liveRegion.textContent = '';
-    }
-  }
-
-  #handleCartAdd() {
-    this.#clearErrorMessages();
-  }
 }
 
 // Register the custom element
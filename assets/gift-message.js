@@ -0,0 +1,235 @@
+import { MessageForm } from '@theme/message-form';
+import { cartStore } from '@theme/cart-store';
+import { CartErrorEvent } from '@theme/events';
+
+/**
+ * @typedef {Object} GiftMessageRefs
+ * @property {HTMLInputElement} toggle - Checkbox that shows the gift message fields
+ * @property {HTMLDivElement} fields - Container for the gift message fields
+ * @property {HTMLTextAreaElement} messageInput - Message textarea
+ * @property {HTMLInputElement} maxLengthInput - Hidden input that stores the length limit, for editing in the cart
+ * @property {HTMLInputElement} [toInput] - Recipient name input (optional)
+ * @property {HTMLInputElement} [fromInput] - Sender name input (optional)
+ * @property {HTMLDivElement} [toError] - Recipient name error message container (optional)
+ * @property {HTMLDivElement} [fromError] - Sender name error message container (optional)
+ * @property {HTMLDivElement} [messageError] - Message error message container (optional)
+ * @property {HTMLParagraphElement} [previewTo] - Recipient name on the card preview (optional)
+ * @property {HTMLParagraphElement} [previewMessage] - Message on the card preview (optional)
+ * @property {HTMLParagraphElement} [previewFrom] - Sender name on the card preview (optional)
+ * @property {HTMLSpanElement} [characterCount] - Character count display element (optional)
+ * @property {HTMLDivElement} [liveRegion] - Live region for screen reader announcements (optional)
+ */
+
+/**
+ * A gift message sent with any product, like the card that comes with a bouquet. The message is sent with the
+ * product form as line item properties.
+ *
+ * @extends {MessageForm<GiftMessageRefs>}
+ */
+class GiftMessageComponent extends MessageForm {
+  fields = {
+    to: { inputRef: 'toInput', errorRef: 'toError' },
+    from: { inputRef: 'fromInput', errorRef: 'fromError' },
+    message: { inputRef: 'messageInput', errorRef: 'messageError' },
+  };
+
+  errorIdPrefix = 'GiftMessage';
+
+  requiredRefs = ['toggle', 'fields', 'messageInput', 'maxLengthInput'];
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#setEnabled(this.refs.toggle.checked);
+  }
+
+  /**
+   * Shows or hides the gift message fields. Hidden fields are disabled, so they aren't sent with the product.
+   */
+  toggle() {
+    const enabled = this.refs.toggle.checked;
+
+    this.#setEnabled(enabled);
+
+    if (enabled) {
+      this.announce(Theme.translations?.gift_message_fields_visible || 'Gift message fields are now visible');
+      (this.refs.toInput ?? this.refs.messageInput).focus();
+    } else {
+      this.announce(Theme.translations?.gift_message_fields_hidden || 'Gift message fields are now hidden');
+    }
+  }
+
+  /**
+   * Shows the text of the fields on the card preview.
+   */
+  updatePreview() {
+    const { toInput, fromInput, messageInput, previewTo, previewFrom, previewMessage } = this.refs;
+
+    if (previewMessage) {
+      previewMessage.textContent = messageInput.value.trim() || previewMessage.dataset.placeholder || '';
+    }
+
+    updatePreviewName(previewTo, toInput?.value ?? '');
+    updatePreviewName(previewFrom, fromInput?.value ?? '');
+  }
+
+  /**
+   * @param {boolean} enabled
+   */
+  #setEnabled(enabled) {
+    this.refs.fields.hidden = !enabled;
+
+    for (const field of this.inputFields) {
+      field.disabled = !enabled;
+      if (!enabled) field.value = '';
+    }
+
+    this.refs.messageInput.required = enabled;
+    this.refs.maxLengthInput.disabled = !enabled;
+
+    if (!enabled) this.clearErrorMessages();
+
+    this.updateCharacterCount();
+    this.updatePreview();
+  }
+}
+
+/**
+ * @param {HTMLElement | undefined} element
+ * @param {string} name
+ */
+function updatePreviewName(element, name) {
+  if (!element) return;
+
+  const template = element.dataset.template || '[name]';
+
+  element.textContent = template.replace('[name]', name.trim());
+  element.hidden = name.trim() === '';
+}
+
+if (!customElements.get('gift-message-component')) {
+  customElements.define('gift-message-component', GiftMessageComponent);
+}
+
+/**
+ * @typedef {Object} CartGiftMessageRefs
+ * @property {HTMLScriptElement} properties - The properties of the cart line, as JSON
+ * @property {HTMLElement} text - The gift message
+ * @property {HTMLButtonElement} editButton - Button that shows the editor
+ * @property {HTMLDivElement} editor - The message editor
+ * @property {HTMLTextAreaElement} messageInput - Message textarea
+ * @property {HTMLButtonElement} saveButton - Button that saves the message
+ * @property {HTMLDivElement} [messageError] - Message error message container (optional)
+ * @property {HTMLSpanElement} [characterCount] - Character count display element (optional)
+ * @property {HTMLDivElement} [liveRegion] - Live region for screen reader announcements (optional)
+ */
+
+/**
+ * Shows the gift message of a cart line, and lets the shopper edit it. Saving the message replaces the line's
+ * properties, which re-renders the cart.
+ *
+ * @extends {MessageForm<CartGiftMessageRefs>}
+ */
+class CartGiftMessage extends MessageForm {
+  fields = {
+    message: { inputRef: 'messageInput', errorRef: 'messageError' },
+  };
+
+  errorIdPrefix = 'CartGiftMessage';
+
+  requiredRefs = ['properties', 'text', 'editButton', 'editor', 'messageInput', 'saveButton'];
+
+  /**
+   * Shows the editor.
+   */
+  edit() {
+    const { text, editButton, editor, messageInput } = this.refs;
+
+    text.hidden = true;
+    editor.hidden = false;
+    editButton.setAttribute('aria-expanded', 'true');
+
+    this.updateCharacterCount();
+    messageInput.focus();
+  }
+
+  /**
+   * Hides the editor and restores the saved message.
+   */
+  cancel() {
+    const { text, editButton, editor, messageInput } = this.refs;
+
+    messageInput.value = messageInput.defaultValue;
+    editor.hidden = true;
+    text.hidden = false;
+    editButton.setAttribute('aria-expanded', 'false');
+
+    this.clearErrorMessages();
+    editButton.focus();
+  }
+
+  /**
+   * Saves the message on the cart line. An empty message removes it.
+   */
+  async save() {
+    const { messageInput, saveButton } = this.refs;
+    const { lineKey, messageProperty, saveError } = this.dataset;
+    if (!lineKey || !messageProperty) return;
+
+    /** @type {Record<string, string>} */
+    let properties;
+
+    try {
+      properties = JSON.parse(this.refs.properties.textContent || '{}') ?? {};
+    } catch (_) {
+      // The change replaces every property of the line, saving without the others would drop them
+      this.displayErrorMessage(saveError || '');
+      return;
+    }
+
+    const message = messageInput.value.trim();
+
+    if (message) {
+      properties[messageProperty] = message;
+    } else {
+      delete properties[messageProperty];
+    }
+
+    const sections = [...document.querySelectorAll('cart-items-component')]
+      .map((element) => (element instanceof HTMLElement ? element.dataset.sectionId : undefined))
+      .filter((sectionId) => typeof sectionId === 'string');
+
+    saveButton.disabled = true;
+
+    try {
+      // The rendered quantity goes stale with optimistic changes, without one the line keeps its quantity
+      await cartStore.change({ id: lineKey, properties }, { sourceId: this.id, sections });
+    } catch (_) {
+      // The error is shown by the `CartErrorEvent` handler
+    } finally {
+      saveButton.disabled = false;
+    }
+  }
+
+  /**
+   * Only shows the errors of this line's changes.
+   * @param {CartErrorEvent} event
+   * @returns {boolean}
+   */
+  shouldDisplayCartError(event) {
+    return event.detail.sourceId === this.id;
+  }
+
+  /**
+   * The Cart API reports line errors as a single message, show it under the textarea.
+   * @param {string} title
+   * @param {Object} body
+   */
+  displayErrorMessage(title, body) {
+    super.displayErrorMessage(title, typeof body === 'object' && body !== null ? body : { message: body || title });
+  }
+}
+
+if (!customElements.get('cart-gift-message')) {
+  customElements.define('cart-gift-message', CartGiftMessage);
+}
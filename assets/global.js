@@ -73,10 +73,11 @@ customElements.define('quantity-selector', QuantitySelector);
  */
 class CartHandler {
   constructor() {
-    this.cartDrawer = document.querySelector('#cart-drawer');
     this.cartCount = document.querySelectorAll('[data-cart-count]');
-    this.cartBody = document.querySelector('#cart-drawer-body');
     this.cartIcon = document.querySelector('.header-actions__cart-icon');
+
+    // Every cart mutation goes through the cart store, which dispatches `cart:update` with the new cart
+    document.addEventListener('cart:update', this.updateCart.bind(this));
   }
 
   /**
@@ -122,12 +123,10 @@ class CartHandler {
       throw error;
     }
 
-    const formData = {
-      items: [{
-        id: parseInt(variantId, 10),
-        quantity: parseInt(quantity, 10) || 1
-      }]
-    };
+    const items = [{
+      id: parseInt(variantId, 10),
+      quantity: parseInt(quantity, 10) || 1
+    }];
 
     // Trigger fly-to-cart animation immediately
     if (sourceElement && this.cartIcon) {
@@ -135,27 +134,15 @@ class CartHandler {
     }
 
     try {
-      const response = await fetch('/cart/add.js', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'application/json'
-        },
-        body: JSON.stringify(formData)
+      // The cart store is an ES module, this script is not
+      const { cartStore } = await import('@theme/cart-store');
+      const { response } = await cartStore.add(items, {
+        target: sourceElement || document,
+        sourceId: String(variantId)
       });
 
-      const data = await response.json();
-
-      // Check if the response indicates an error (Shopify returns 200 but with an error status)
-      if (data.status || data.message || !response.ok) {
-        const errorMessage = data.message || data.description || 'Failed to add item to cart';
-        throw new Error(errorMessage);
-      }
-
-      this.updateCart();
-      
-      if (onSuccess) onSuccess(data);
-      return data;
+      if (onSuccess) onSuccess(response);
+      return response;
     } catch (error) {
       console.error('Error adding to cart:', error);
       if (onError) onError(error);
@@ -165,59 +152,27 @@ class CartHandler {
 
   async updateItem(key, quantity) {
     try {
-      const response = await fetch('/cart/change.js', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({ id: key, quantity: quantity })
-      });
-
-      if (!response.ok) throw new Error('Failed to update item');
-
-      const data = await response.json();
-      this.updateCart();
-      return data;
+      const { cartStore } = await import('@theme/cart-store');
+      const { cart } = await cartStore.change({ id: key, quantity: quantity });
+      return cart;
     } catch (error) {
       console.error('Error updating cart:', error);
       throw error;
     }
   }
 
-  async updateCart() {
-    try {
-      const response = await fetch('/cart.js');
-      const cart = await response.json();
-
-      // Update cart count badges
-      this.cartCount.forEach(el => {
-        el.textContent = cart.item_count;
-        el.classList.toggle('hidden', cart.item_count === 0);
-      });
-
-      // Refresh cart drawer content if open
-      if (this.cartDrawer?.getAttribute('aria-hidden') === 'false') {
-        this.refreshCartDrawer();
-      }
-    } catch (error) {
-      console.error('Error fetching cart:', error);
-    }
-  }
-
-  async refreshCartDrawer() {
-    try {
-      const response = await fetch('/?section_id=cart-drawer');
-      const html = await response.text();
-      const parser = new DOMParser();
-      const doc = parser.parseFromString(html, 'text/html');
-      const newBody = doc.querySelector('#cart-drawer-body');
-      
-      if (newBody && this.cartBody) {
-        this.cartBody.innerHTML = newBody.innerHTML;
-      }
-    } catch (error) {
-      console.error('Error refreshing cart drawer:', error);
-    }
+  /**
+   * Paints the cart count badges from a cart update event
+   * @param {CustomEvent} event - The cart:update event
+   */
+  updateCart(event) {
+    const cart = event.detail?.resource;
+    if (!cart || typeof cart.item_count !== 'number') return;
+
+    this.cartCount.forEach(el => {
+      el.textContent = cart.item_count;
+      el.classList.toggle('hidden', cart.item_count === 0);
+    });
   }
 }
 
@@ -319,64 +274,17 @@ function initGlobalProductFormHandler() {
       button.dataset.state = 'adding';
     }
     
-    // Use global cart handler
-    if (window.cart && typeof window.cart.addItem === 'function') {
-      window.cart.addItem(variantId, 1, {
-        sourceElement: button,
-        imageUrl: productImage,
-        onSuccess: function(data) {
-          // Success feedback
-          button.textContent = 'Added!';
-          if (button.dataset) {
-            button.dataset.state = 'added';
-          }
-          
-          // Reset button after delay
-          setTimeout(function() {
-            button.disabled = false;
-            button.textContent = originalText;
-            if (button.dataset) {
-              button.dataset.state = 'default';
-            }
-          }, 2000);
-        },
-        onError: function(error) {
-          console.error('Error adding to cart:', error);
-          button.disabled = false;
-          button.textContent = 'Error - Try Again';
-          if (button.dataset) {
-            button.dataset.state = 'error';
-          }
-          
-          setTimeout(function() {
-            button.textContent = originalText;
-            if (button.dataset) {
-              button.dataset.state = 'default';
-            }
-          }, 3000);
-        }
-      });
-    } else {
-      // Fallback: Direct fetch if global cart handler not available
-      fetch('/cart/add.js', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          id: variantId,
-          quantity: 1
-        })
-      })
-      .then(function(response) {
-        return response.json();
-      })
-      .then(function(data) {
+    window.cart.addItem(variantId, 1, {
+      sourceElement: button,
+      imageUrl: productImage,
+      onSuccess: function(data) {
+        // Success feedback
         button.textContent = 'Added!';
         if (button.dataset) {
           button.dataset.state = 'added';
         }
         
+        // Reset button after delay
         setTimeout(function() {
           button.disabled = false;
           button.textContent = originalText;
@@ -384,9 +292,8 @@ function initGlobalProductFormHandler() {
             button.dataset.state = 'default';
           }
         }, 2000);
-      })
-      .catch(function(error) {
-        console.error('Error:', error);
+      },
+      onError: function(error) {
         button.disabled = false;
         button.textContent = 'Error - Try Again';
         if (button.dataset) {
@@ -399,8 +306,10 @@ function initGlobalProductFormHandler() {
             button.dataset.state = 'default';
           }
         }, 3000);
-      });
-    }
+      }
+    }).catch(function() {
+      // Already reported through onError
+    });
   }, true); // Use capture phase to catch early
 }
 
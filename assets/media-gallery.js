@@ -1,5 +1,19 @@
 import { Component } from '@theme/component';
 import { ThemeEvents, VariantUpdateEvent, ZoomMediaSelectedEvent } from '@theme/events';
+import { clamp } from '@theme/utilities';
+
+/** How much the magnifier enlarges the image */
+const MAGNIFIER_SCALE = 2.5;
+/** The space between the media and the side panel magnifier, in pixels */
+const SIDE_PANEL_GAP = 16;
+/** The narrowest the side panel magnifier can be before it's shown over the media, in pixels */
+const SIDE_PANEL_MIN_WIDTH = 200;
+
+/**
+ * @typedef {object} Point
+ * @property {number} x
+ * @property {number} y
+ */
 
 /**
  * A custom element that renders a media gallery.
@@ -8,6 +22,7 @@ import { ThemeEvents, VariantUpdateEvent, ZoomMediaSelectedEvent } from '@theme/
  * @property {import('./zoom-dialog').ZoomDialog} [zoomDialogComponent] - The zoom dialog component.
  * @property {import('./slideshow').Slideshow} [slideshow] - The slideshow component.
  * @property {HTMLElement[]} [media] - The media elements.
+ * @property {HTMLElement} [magnifier] - The magnifier shown on hover when the zoom style is a lens or side panel.
  *
  * @extends Component<Refs>
  */
@@ -22,6 +37,14 @@ export class MediaGallery extends Component {
     this.refs.zoomDialogComponent?.addEventListener(ThemeEvents.zoomMediaSelected, this.#handleZoomMediaSelected, {
       signal,
     });
+
+    if (this.zoomStyle && this.refs.magnifier) {
+      // `pointerenter` doesn't bubble, listen in the capture phase to see it for every image
+      this.addEventListener('pointerenter', this.#handlePointerEnter, { capture: true, signal });
+      this.addEventListener('pointermove', this.#handlePointerMove, { signal });
+      this.addEventListener('pointerleave', this.#hideMagnifier, { signal });
+      window.addEventListener('scroll', this.#hideMagnifier, { passive: true, signal });
+    }
   }
 
   #controller = new AbortController();
@@ -33,14 +56,19 @@ export class MediaGallery extends Component {
   }
 
   /**
-   * Handles a variant update event by replacing the current media gallery with a new one.
+   * Handles a variant update event by replacing the current media gallery with a new one, or by showing the media
+   * of the variant when the variant picker resolved it without a server render.
    *
    * @param {VariantUpdateEvent} event - The variant update event.
    */
   #handleVariantUpdate = (event) => {
     const source = event.detail.data.html;
 
-    if (!source) return;
+    if (!source) {
+      const mediaId = event.detail.resource?.featured_media?.id;
+      if (mediaId) this.slideshow?.select({ id: String(mediaId) });
+      return;
+    }
     const newMediaGallery = source.querySelector('media-gallery');
 
     if (!newMediaGallery) return;
@@ -63,9 +91,157 @@ export class MediaGallery extends Component {
    * @param {PointerEvent} event - The pointer event.
    */
   zoom(index, event) {
+    this.#hideMagnifier();
     this.refs.zoomDialogComponent?.open(index, event);
   }
 
+  /** @type {HTMLImageElement | null} The image under the magnifier */
+  #magnifiedImage = null;
+  /** @type {Point} The last position of the pointer over the magnified image */
+  #pointer = { x: 0, y: 0 };
+  /** @type {Map<string, HTMLImageElement>} The high resolution images, by url */
+  #highResolutionImages = new Map();
+
+  /**
+   * Starts loading the high resolution image the first time the mouse enters a piece of media.
+   * Touch devices don't hover, tapping the media still opens the zoom dialog.
+   * @param {PointerEvent} event
+   */
+  #handlePointerEnter = (event) => {
+    if (event.pointerType === 'touch') return;
+
+    const image = this.#getZoomableImage(event.target);
+    if (image) this.#getHighResolutionImage(image);
+  };
+
+  /**
+   * @param {PointerEvent} event
+   */
+  #handlePointerMove = (event) => {
+    // Skip touch and the drags of the carousel
+    if (event.pointerType === 'touch' || event.buttons !== 0) {
+      this.#hideMagnifier();
+      return;
+    }
+
+    const image = this.#getZoomableImage(event.target);
+
+    if (!image) {
+      this.#hideMagnifier();
+      return;
+    }
+
+    this.#magnifiedImage = image;
+    this.#pointer = { x: event.clientX, y: event.clientY };
+    this.#renderMagnifier();
+  };
+
+  #hideMagnifier = () => {
+    const { magnifier } = this.refs;
+    if (!magnifier || !this.#magnifiedImage) return;
+
+    this.#magnifiedImage = null;
+    magnifier.hidden = true;
+    this.classList.remove('media-gallery--magnifying');
+  };
+
+  /**
+   * Positions the magnifier, and shows the part of the image under the pointer.
+   */
+  #renderMagnifier() {
+    const { magnifier } = this.refs;
+    const image = this.#magnifiedImage;
+    if (!magnifier || !image) return;
+
+    const rect = getRenderedImageRect(image);
+    const x = this.#pointer.x - rect.left;
+    const y = this.#pointer.y - rect.top;
+
+    // The pointer is over the space around an image that's contained in its media
+    if (x < 0 || y < 0 || x > rect.width || y > rect.height) {
+      this.#hideMagnifier();
+      return;
+    }
+
+    const highResolutionImage = this.#getHighResolutionImage(image);
+    const isLoaded = highResolutionImage?.complete && highResolutionImage.naturalWidth > 0;
+    const source = isLoaded ? highResolutionImage.src : image.currentSrc;
+    const backgroundWidth = rect.width * MAGNIFIER_SCALE;
+    const backgroundHeight = rect.height * MAGNIFIER_SCALE;
+
+    magnifier.hidden = false;
+    this.classList.add('media-gallery--magnifying');
+
+    /** @type {{ left: number, top: number, width: number, height: number }} */
+    let frame;
+    let backgroundX;
+    let backgroundY;
+
+    if (this.zoomStyle === 'side_panel') {
+      frame = getSidePanelFrame(image.closest('.product-media-container') ?? image);
+      backgroundX = clamp(frame.width / 2 - x * MAGNIFIER_SCALE, frame.width - backgroundWidth, 0);
+      backgroundY = clamp(frame.height / 2 - y * MAGNIFIER_SCALE, frame.height - backgroundHeight, 0);
+    } else {
+      const size = magnifier.offsetWidth;
+
+      frame = { left: this.#pointer.x - size / 2, top: this.#pointer.y - size / 2, width: size, height: size };
+      backgroundX = size / 2 - x * MAGNIFIER_SCALE;
+      backgroundY = size / 2 - y * MAGNIFIER_SCALE;
+    }
+
+    Object.assign(magnifier.style, {
+      left: `${frame.left}px`,
+      top: `${frame.top}px`,
+      width: `${frame.width}px`,
+      height: `${frame.height}px`,
+      backgroundImage: `url("${source}")`,
+      backgroundSize: `${backgroundWidth}px ${backgroundHeight}px`,
+      backgroundPosition: `${backgroundX}px ${backgroundY}px`,
+    });
+  }
+
+  /**
+   * Returns the high resolution version of an image, and starts loading it the first time it's needed.
+   * The magnifier shows the image that's already on the page until it's loaded.
+   * @param {HTMLImageElement} image
+   * @returns {HTMLImageElement | undefined}
+   */
+  #getHighResolutionImage(image) {
+    const url = image.getAttribute('data_max_resolution');
+    if (!url) return;
+
+    let highResolutionImage = this.#highResolutionImages.get(url);
+
+    if (!highResolutionImage) {
+      highResolutionImage = new Image();
+      highResolutionImage.addEventListener(
+        'load',
+        () => {
+          if (this.#magnifiedImage === image) this.#renderMagnifier();
+        },
+        { once: true }
+      );
+      highResolutionImage.src = url;
+      this.#highResolutionImages.set(url, highResolutionImage);
+    }
+
+    return highResolutionImage;
+  }
+
+  /**
+   * Finds the image that can be magnified under an event target, leaving out the zoom dialog.
+   * @param {EventTarget | null} target
+   * @returns {HTMLImageElement | null}
+   */
+  #getZoomableImage(target) {
+    if (!(target instanceof Element) || target.closest('dialog')) return null;
+
+    const container = target.closest('.product-media-container--image');
+    if (!container || !this.contains(container)) return null;
+
+    return container.querySelector('img.product-media__image[data_max_resolution]');
+  }
+
   get slideshow() {
     return this.refs.slideshow;
   }
@@ -77,6 +253,75 @@ export class MediaGallery extends Component {
   get presentation() {
     return this.dataset.presentation;
   }
+
+  /**
+   * The magnifier shown on hover, if any: `lens` or `side_panel`.
+   * @returns {string | undefined}
+   */
+  get zoomStyle() {
+    return this.dataset.zoomStyle;
+  }
+}
+
+/**
+ * Returns where an image is drawn in client coordinates, accounting for `object-fit` and `object-position`.
+ * @param {HTMLImageElement} image
+ * @returns {{ left: number, top: number, width: number, height: number }}
+ */
+function getRenderedImageRect(image) {
+  const box = image.getBoundingClientRect();
+  const { naturalWidth, naturalHeight } = image;
+  const { objectFit, objectPosition } = getComputedStyle(image);
+
+  if (!naturalWidth || !naturalHeight || (objectFit !== 'contain' && objectFit !== 'cover')) {
+    return { left: box.left, top: box.top, width: box.width, height: box.height };
+  }
+
+  const fit = objectFit === 'contain' ? Math.min : Math.max;
+  const scale = fit(box.width / naturalWidth, box.height / naturalHeight);
+  const width = naturalWidth * scale;
+  const height = naturalHeight * scale;
+  const [positionX = '50%', positionY = '50%'] = objectPosition.split(' ');
+
+  return {
+    left: box.left + getObjectOffset(positionX, box.width - width),
+    top: box.top + getObjectOffset(positionY, box.height - height),
+    width,
+    height,
+  };
+}
+
+/**
+ * @param {string} position - A computed `object-position` value, in percent or pixels.
+ * @param {number} space - The space left around the image along the same axis.
+ * @returns {number}
+ */
+function getObjectOffset(position, space) {
+  return position.endsWith('%') ? (space * parseFloat(position)) / 100 : parseFloat(position) || 0;
+}
+
+/**
+ * Places the side panel magnifier next to the media, on the side with the most room. The panel covers the
+ * media when there's no room on either side.
+ * @param {Element} media
+ * @returns {{ left: number, top: number, width: number, height: number }}
+ */
+function getSidePanelFrame(media) {
+  const rect = media.getBoundingClientRect();
+  const spaceRight = window.innerWidth - rect.right - SIDE_PANEL_GAP * 2;
+  const spaceLeft = rect.left - SIDE_PANEL_GAP * 2;
+  const space = Math.max(spaceRight, spaceLeft);
+  const top = Math.max(rect.top, SIDE_PANEL_GAP);
+  const height = Math.min(rect.bottom, window.innerHeight - SIDE_PANEL_GAP) - top;
+
+  if (space < SIDE_PANEL_MIN_WIDTH) {
+    return { left: rect.left, top, width: rect.width, height };
+  }
+
+  const width = Math.min(rect.width, space);
+  const left = spaceRight >= spaceLeft ? rect.right + SIDE_PANEL_GAP : rect.left - SIDE_PANEL_GAP - width;
+
+  return { left, top, width, height };
 }
 
 if (!customElements.get('media-gallery')) {
@@ -0,0 +1,198 @@
+import { Component } from '@theme/component';
+import { ThemeEvents, CartErrorEvent } from '@theme/events';
+
+/**
+ * @typedef {Object} MessageFormRefs
+ * @property {HTMLTextAreaElement} [messageInput] - The message textarea, when the form counts its characters
+ * @property {HTMLSpanElement} [characterCount] - Character count display element (optional)
+ * @property {HTMLDivElement} [liveRegion] - Live region for screen reader announcements (optional)
+ */
+
+/**
+ * @typedef {Object} MessageFormField
+ * @property {string} inputRef - The ref of the field's input
+ * @property {string} errorRef - The ref of the field's error message container
+ */
+
+/**
+ * A form that sends a message with the product, as line item properties. Counts the characters of the message,
+ * and shows the errors the cart reports for its fields.
+ *
+ * Subclasses list their fields in `fields`, keyed by the names the Cart API reports errors with.
+ *
+ * @template {MessageFormRefs} [T=MessageFormRefs]
+ * @extends {Component<T>}
+ */
+export class MessageForm extends Component {
+  /**
+   * The fields of the form, keyed by the names the Cart API reports errors with.
+   * @type {Record<string, MessageFormField>}
+   */
+  fields = {};
+
+  /**
+   * The prefix of the ids of the error messages.
+   * @type {string}
+   */
+  errorIdPrefix = 'MessageForm';
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.messageInput?.addEventListener('input', this.updateCharacterCount);
+    document.addEventListener(ThemeEvents.cartError, this.#displayCartError);
+    document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.messageInput?.removeEventListener('input', this.updateCharacterCount);
+    document.removeEventListener(ThemeEvents.cartError, this.#displayCartError);
+    document.removeEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+  }
+
+  /**
+   * The textarea whose characters are counted.
+   * @returns {HTMLTextAreaElement | undefined}
+   */
+  get messageInput() {
+    return this.refs.messageInput;
+  }
+
+  /**
+   * All the input fields of the form.
+   * @returns {(HTMLInputElement | HTMLTextAreaElement)[]}
+   */
+  get inputFields() {
+    return Object.values(this.fields)
+      .map(({ inputRef }) => this.refs[inputRef])
+      .filter((field) => field instanceof HTMLInputElement || field instanceof HTMLTextAreaElement);
+  }
+
+  /**
+   * Update character count display
+   */
+  updateCharacterCount = () => {
+    const { characterCount } = this.refs;
+    const { messageInput } = this;
+    if (!characterCount || !messageInput) return;
+
+    const currentLength = messageInput.value.length;
+    const maxLength = messageInput.maxLength;
+
+    const template = characterCount.getAttribute('data-template');
+    if (!template) return;
+
+    const updatedText = template.replace('[current]', currentLength.toString()).replace('[max]', maxLength.toString());
+
+    characterCount.textContent = updatedText;
+  };
+
+  /**
+   * Announces a message to screen readers.
+   * @param {string} message
+   */
+  announce(message) {
+    if (this.refs.liveRegion) {
+      this.refs.liveRegion.textContent = message;
+    }
+  }
+
+  /**
+   * Handles cart error events
+   * @param {CartErrorEvent} event - The cart error event
+   */
+  #displayCartError = (event) => {
+    if (!this.shouldDisplayCartError(event)) return;
+
+    if (event.detail?.data) {
+      const { message, errors, description } = event.detail.data;
+
+      // Display the error message
+      if (errors && typeof errors === 'object') {
+        this.displayErrorMessage(message || 'There was an error', errors);
+      } else if (message) {
+        this.displayErrorMessage(message, description);
+      }
+    }
+  };
+
+  /**
+   * Whether the form shows the errors of a cart error event. Forms show every cart error by default.
+   * @param {CartErrorEvent} _event - The cart error event
+   * @returns {boolean}
+   */
+  shouldDisplayCartError(_event) {
+    return true;
+  }
+
+  #handleCartUpdate = () => {
+    this.clearErrorMessages();
+  };
+
+  /**
+   * Display error messages in the appropriate error containers
+   * @param {string} title - The main error message title
+   * @param {Object} body - Error details
+   */
+  displayErrorMessage(title, body) {
+    this.clearErrorMessages();
+
+    if (typeof body === 'object' && body !== null) {
+      for (const [field, errorMessages] of Object.entries(body)) {
+        const fieldConfig = this.fields[field];
+        if (!fieldConfig) continue;
+
+        const { inputRef, errorRef } = fieldConfig;
+        const errorContainer = this.refs[errorRef];
+        const inputElement = this.refs[inputRef];
+
+        if (errorContainer && errorContainer instanceof HTMLElement) {
+          const errorTextElement = errorContainer.querySelector('span');
+          if (errorTextElement) {
+            const message = Array.isArray(errorMessages) ? errorMessages.join(', ') : errorMessages;
+            errorTextElement.textContent = `${message}.`;
+          }
+
+          errorContainer.classList.remove('hidden');
+        }
+
+        if (inputElement && inputElement instanceof HTMLElement) {
+          // Set ARIA attributes for accessibility
+          inputElement.setAttribute('aria-invalid', 'true');
+          const errorId = `${this.errorIdPrefix}-${field}-error-${this.dataset.sectionId || 'default'}`;
+          inputElement.setAttribute('aria-describedby', errorId);
+        }
+      }
+    }
+
+    // Announce errors to screen readers
+    this.announce(title || Theme.translations?.recipient_form_error || 'There was an error with the form submission');
+  }
+
+  /**
+   * Clear all error messages and reset ARIA attributes
+   */
+  clearErrorMessages() {
+    for (const { errorRef } of Object.values(this.fields)) {
+      const errorContainer = this.refs[errorRef];
+      if (errorContainer && errorContainer instanceof HTMLElement) {
+        errorContainer.classList.add('hidden');
+        const errorTextElement = errorContainer.querySelector('span');
+        if (errorTextElement) {
+          errorTextElement.textContent = '';
+        }
+      }
+    }
+
+    // Remove ARIA attributes from all input fields
+    for (const field of this.inputFields) {
+      field.removeAttribute('aria-invalid');
+      field.removeAttribute('aria-describedby');
+    }
+
+    // Clear live region announcement
+    this.announce('');
+  }
+}
@@ -39,12 +39,8 @@ class ProductCardAddToCart {
     this.setButtonState(button, 'adding');
 
     try {
-      // Use global cart handler if available (supports fly-to-cart animation)
-      if (window.cart) {
-        await this.addWithGlobalCart(button, variantId, productImage);
-      } else {
-        await this.addWithFetch(button, variantId);
-      }
+      // The global cart handler goes through the cart store and plays the fly-to-cart animation
+      await this.addWithGlobalCart(button, variantId, productImage);
 
       // Success state
       this.setButtonState(button, 'added');
@@ -86,51 +82,6 @@ class ProductCardAddToCart {
     });
   }
 
-  /**
-   * Add to cart using fetch API (fallback)
-   * @param {HTMLButtonElement} button 
-   * @param {string} variantId 
-   */
-  async addWithFetch(button, variantId) {
-    const response = await fetch('/cart/add.js', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ id: variantId, quantity: 1 })
-    });
-
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-
-    // Update cart count
-    await this.updateCartCount();
-
-    return response.json();
-  }
-
-  /**
-   * Update cart count in header
-   */
-  async updateCartCount() {
-    try {
-      const response = await fetch('/cart.js');
-      const cart = await response.json();
-      
-      const cartCountElements = document.querySelectorAll('[data-cart-count]');
-      cartCountElements.forEach(element => {
-        element.textContent = cart.item_count;
-        element.classList.toggle('hidden', cart.item_count === 0);
-      });
-
-      // Dispatch cart update event
-      document.dispatchEvent(new CustomEvent('cart:updated', {
-        detail: { cart }
-      }));
-    } catch (error) {
-      console.error('Error updating cart count:', error);
-    }
-  }
-
   /**
    * Set button state (default, adding, added)
    * @param {HTMLButtonElement} button 
@@ -1,6 +1,7 @@
 import { Component } from '@theme/component';
-import { fetchConfig, preloadImage, onAnimationEnd, yieldToMainThread } from '@theme/utilities';
-import { ThemeEvents, CartAddEvent, CartErrorEvent, CartUpdateEvent, VariantUpdateEvent } from '@theme/events';
+import { preloadImage, onAnimationEnd, yieldToMainThread } from '@theme/utilities';
+import { ThemeEvents, CartAddEvent, CartUpdateEvent, VariantUpdateEvent } from '@theme/events';
+import { cartStore, CartError, GROUP_ID_PROPERTY, GROUP_NAME_PROPERTY, createGroupId } from '@theme/cart-store';
 import { cartPerformance } from '@theme/performance';
 import { morph } from '@theme/morph';
 
@@ -13,6 +14,9 @@ const ERROR_BUTTON_REENABLE_DELAY = 1000;
 // Success message display duration for screen readers
 const SUCCESS_MESSAGE_DISPLAY_DURATION = 5000;
 
+// The name of the add-on checkboxes of the add-ons block
+const ADD_ON_INPUT_NAME = 'add_on';
+
 /**
  * @typedef {HTMLElement & {
  *   source: Element,
@@ -171,6 +175,10 @@ if (!customElements.get('add-to-cart-component')) {
  *
  * @typedef {{items: Array<{quantity: number, variant_id: number}>}} Cart
  *
+ * @typedef {object} OrderMode
+ * @property {'pre_order' | 'made_to_order' | null} mode - How the variant is ordered, null when it's in stock
+ * @property {string | null} ship_date - The estimated ship date, null when there is no estimate
+ *
  * @typedef {object} ProductFormRefs
  * @property {HTMLInputElement} variantId - The form input for submitting the variant ID.
  * @property {AddToCartComponent | undefined} addToCartButtonContainer - The add to cart button container element.
@@ -185,6 +193,9 @@ if (!customElements.get('add-to-cart-component')) {
  * @property {HTMLElement | undefined} quantitySelectorWrapper - The quantity selector wrapper element.
  * @property {HTMLElement | undefined} quantityLabel - The quantity label element.
  * @property {HTMLElement | undefined} pricePerItem - The price per item component.
+ * @property {HTMLInputElement | undefined} orderModeInput - The line property of the order mode.
+ * @property {HTMLInputElement | undefined} shipDateInput - The line property of the estimated ship date.
+ * @property {HTMLScriptElement | undefined} orderModes - The order mode of every variant.
  *
  * @extends Component<ProductFormRefs>
  */
@@ -246,8 +257,7 @@ class ProductFormComponent extends Component {
     if (!variantIdInput?.value) return 0;
 
     try {
-      const response = await fetch('/cart.js');
-      const cart = await response.json();
+      const cart = await cartStore.getCart();
 
       return this.#updateCartQuantityFromData(cart);
     } catch (error) {
@@ -344,112 +354,172 @@ class ProductFormComponent extends Component {
     }
 
     const formData = new FormData(form);
+    const addOns = this.#getAddOnInputs(form);
+    formData.delete(ADD_ON_INPUT_NAME);
 
-    const cartItemsComponents = document.querySelectorAll('cart-items-component');
-    let cartItemComponentsSectionIds = [];
-    cartItemsComponents.forEach((item) => {
+    /** @type {string[]} */
+    const cartItemComponentsSectionIds = [];
+    document.querySelectorAll('cart-items-component').forEach((item) => {
       if (item instanceof HTMLElement && item.dataset.sectionId) {
         cartItemComponentsSectionIds.push(item.dataset.sectionId);
       }
-      formData.append('sections', cartItemComponentsSectionIds.join(','));
     });
 
-    const fetchCfg = fetchConfig('javascript', { body: formData });
-
-    fetch(Theme.routes.cart_add_url, {
-      ...fetchCfg,
-      headers: {
-        ...fetchCfg.headers,
-        Accept: 'text/html',
+    const id = formData.get('id');
+    if (!id) throw new Error('Form ID is required');
+
+    /** @type {import('@theme/cart-store').CartMutationOptions} */
+    const options = {
+      target: this,
+      sourceId: id.toString(),
+      sections: cartItemComponentsSectionIds,
+      data: {
+        source: 'product-form-component',
+        productId: this.dataset.productId,
       },
-    })
-      .then((response) => response.json())
-      .then(async (response) => {
-        if (response.status) {
-          this.dispatchEvent(
-            new CartErrorEvent(form.getAttribute('id') || '', response.message, response.description, response.errors)
-          );
-
-          if (!addToCartTextError) return;
-          addToCartTextError.classList.remove('hidden');
+    };
 
-          // Reuse the text node if the user is spam-clicking
-          const textNode = addToCartTextError.childNodes[2];
-          if (textNode) {
-            textNode.textContent = response.message;
-          } else {
-            const newTextNode = document.createTextNode(response.message);
-            addToCartTextError.appendChild(newTextNode);
-          }
+    (addOns.length ? this.#addWithAddOns(formData, addOns, options) : cartStore.add(formData, options))
+      .then(({ cart }) => {
+        if (addToCartTextError) {
+          addToCartTextError.classList.add('hidden');
+          addToCartTextError.removeAttribute('aria-live');
+        }
 
-          // Create or get existing error live region for screen readers
-          this.#setLiveRegionText(response.message);
+        // Add aria-live region to inform screen readers that the item was added
+        // Get the added text from any add-to-cart button
+        const anyAddToCartButton = allAddToCartContainers[0]?.refs.addToCartButton;
+        if (anyAddToCartButton) {
+          const addedTextElement = anyAddToCartButton.querySelector('.add-to-cart-text--added');
+          const addedText = addedTextElement?.textContent?.trim() || Theme.translations.added;
 
-          this.#timeout = setTimeout(() => {
-            if (!addToCartTextError) return;
-            addToCartTextError.classList.add('hidden');
+          this.#setLiveRegionText(addedText);
 
-            // Clear the announcement
+          setTimeout(() => {
             this.#clearLiveRegionText();
-          }, ERROR_MESSAGE_DISPLAY_DURATION);
-
-          // When we add more than the maximum amount of items to the cart, we need to dispatch a cart update event
-          // because our back-end still adds the max allowed amount to the cart.
-          this.dispatchEvent(
-            new CartAddEvent({}, this.id, {
-              didError: true,
-              source: 'product-form-component',
-              itemCount: Number(formData.get('quantity')) || Number(this.dataset.quantityDefault),
-              productId: this.dataset.productId,
-            })
-          );
+          }, SUCCESS_MESSAGE_DISPLAY_DURATION);
+        }
 
+        this.#updateCartQuantityFromData(cart);
+      })
+      .catch((error) => {
+        if (!(error instanceof CartError)) {
+          console.error(error);
           return;
-        } else {
-          const id = formData.get('id');
-
-          if (addToCartTextError) {
-            addToCartTextError.classList.add('hidden');
-            addToCartTextError.removeAttribute('aria-live');
-          }
+        }
 
-          if (!id) throw new Error('Form ID is required');
+        // The back-end still adds the max allowed amount to the cart when the requested quantity exceeds it
+        if (cartStore.cart) this.#updateCartQuantityFromData(cartStore.cart);
 
-          // Add aria-live region to inform screen readers that the item was added
-          // Get the added text from any add-to-cart button
-          const anyAddToCartButton = allAddToCartContainers[0]?.refs.addToCartButton;
-          if (anyAddToCartButton) {
-            const addedTextElement = anyAddToCartButton.querySelector('.add-to-cart-text--added');
-            const addedText = addedTextElement?.textContent?.trim() || Theme.translations.added;
+        if (!addToCartTextError) return;
+        addToCartTextError.classList.remove('hidden');
 
-            this.#setLiveRegionText(addedText);
+        // Reuse the text node if the user is spam-clicking
+        const textNode = addToCartTextError.childNodes[2];
+        if (textNode) {
+          textNode.textContent = error.message;
+        } else {
+          const newTextNode = document.createTextNode(error.message);
+          addToCartTextError.appendChild(newTextNode);
+        }
 
-            setTimeout(() => {
-              this.#clearLiveRegionText();
-            }, SUCCESS_MESSAGE_DISPLAY_DURATION);
-          }
+        // Create or get existing error live region for screen readers
+        this.#setLiveRegionText(error.message);
 
-          // Fetch the updated cart to get the actual total quantity for this variant
-          await this.#fetchAndUpdateCartQuantity();
+        this.#timeout = setTimeout(() => {
+          if (!addToCartTextError) return;
+          addToCartTextError.classList.add('hidden');
 
-          this.dispatchEvent(
-            new CartAddEvent({}, id.toString(), {
-              source: 'product-form-component',
-              itemCount: Number(formData.get('quantity')) || Number(this.dataset.quantityDefault),
-              productId: this.dataset.productId,
-              sections: response.sections,
-            })
-          );
-        }
-      })
-      .catch((error) => {
-        console.error(error);
+          // Clear the announcement
+          this.#clearLiveRegionText();
+        }, ERROR_MESSAGE_DISPLAY_DURATION);
       })
       .finally(() => {
         cartPerformance.measureFromEvent('add:user-action', event);
       });
   }
 
+  /**
+   * The checked add-ons of the add-ons blocks linked to the form.
+   * @param {HTMLFormElement} form
+   * @returns {HTMLInputElement[]}
+   */
+  #getAddOnInputs(form) {
+    const inputs = [...form.elements].filter(
+      (element) => element instanceof HTMLInputElement && element.name === ADD_ON_INPUT_NAME
+    );
+
+    for (const input of inputs) setAddOnError(input, '');
+
+    return /** @type {HTMLInputElement[]} */ (inputs.filter((input) => input.checked && !input.disabled));
+  }
+
+  /**
+   * Adds the product and its add-ons in a single `/cart/add.js` request, grouped so the cart shows them together.
+   *
+   * When the request is rejected, e.g. because an add-on sold out, the product is added on its own and the add-ons
+   * one by one, so the product isn't lost and each failing add-on shows its own error. Products with file uploads
+   * always take that path: files are only sent with the form data, which can't hold the add-ons.
+   *
+   * @param {FormData} formData - The product form data, without the add-ons
+   * @param {HTMLInputElement[]} addOns - The checked add-ons
+   * @param {import('@theme/cart-store').CartMutationOptions} options
+   * @returns {Promise<import('@theme/cart-store').CartMutationResult>}
+   */
+  async #addWithAddOns(formData, addOns, options) {
+    const groupId = createGroupId();
+    const groupName = addOns[0]?.closest('[data-add-ons]')?.getAttribute('data-group-name') ?? '';
+    const groupProperties = { [GROUP_ID_PROPERTY]: groupId, [GROUP_NAME_PROPERTY]: groupName };
+
+    for (const [name, value] of Object.entries(groupProperties)) {
+      formData.set(`properties[${name}]`, value);
+    }
+
+    const item = getItemFromFormData(formData);
+    const hasFiles = [...formData.values()].some((value) => typeof value !== 'string');
+
+    const addOnItems = addOns.map((input) => ({
+      id: input.value,
+      quantity: item.quantity,
+      properties: groupProperties,
+    }));
+
+    if (!hasFiles) {
+      try {
+        return await cartStore.add([item, ...addOnItems], options);
+      } catch (error) {
+        if (!(error instanceof CartError)) throw error;
+      }
+    }
+
+    /**
+     * @param {string} variantId
+     * @returns {boolean}
+     */
+    const isInCart = (variantId) =>
+      cartStore.cart?.items.some(
+        (line) => line.properties?.[GROUP_ID_PROPERTY] === groupId && String(line.variant_id) === String(variantId)
+      ) ?? false;
+
+    // Rejections of the product itself are reported by the form as usual
+    let result = isInCart(item.id) ? null : await cartStore.add(formData, options);
+
+    for (const [index, input] of addOns.entries()) {
+      const addOnItem = addOnItems[index];
+      if (!addOnItem || isInCart(addOnItem.id)) continue;
+
+      try {
+        result = await cartStore.add([addOnItem], options);
+      } catch (error) {
+        if (!(error instanceof CartError)) throw error;
+
+        setAddOnError(input, error.description || error.message);
+      }
+    }
+
+    return result ?? { cart: await cartStore.getCart(), sections: undefined, response: null };
+  }
+
   /**
    * Updates the quantity label with the current cart quantity
    * @param {number} cartQty - The quantity in cart
@@ -510,6 +580,11 @@ class ProductFormComponent extends Component {
 
     // Update the variant ID
     variantId.value = event.detail.resource?.id ?? '';
+
+    const { html } = event.detail.data;
+    const orderMode = this.#getOrderMode(event.detail.resource?.id, html);
+    this.#renderOrderMode(orderMode);
+
     const { addToCartButtonContainer: currentAddToCartButtonContainer, acceleratedCheckoutButtonContainer } = this.refs;
     const currentAddToCartButton = currentAddToCartButtonContainer?.refs.addToCartButton;
 
@@ -523,9 +598,16 @@ class ProductFormComponent extends Component {
       currentAddToCartButtonContainer.enable();
     }
 
-    const newAddToCartButton = event.detail.data.html.querySelector('product-form-component [ref="addToCartButton"]');
-    if (newAddToCartButton && currentAddToCartButton) {
-      morph(currentAddToCartButton, newAddToCartButton);
+    // The variant picker resolved the variant itself, render the text of the button for it
+    if (!html) {
+      if (currentAddToCartButton) {
+        this.#renderAddToCartText(currentAddToCartButton, event.detail.resource, orderMode);
+      }
+    } else {
+      const newAddToCartButton = html.querySelector('product-form-component [ref="addToCartButton"]');
+      if (newAddToCartButton && currentAddToCartButton) {
+        morph(currentAddToCartButton, newAddToCartButton);
+      }
     }
 
     if (acceleratedCheckoutButtonContainer) {
@@ -547,6 +629,9 @@ class ProductFormComponent extends Component {
       }
     }
 
+    // Quantity rules and volume pricing follow with a server render when the variant has them
+    if (!html) return;
+
     // Check if quantity rules, price-per-item, or add-to-cart are appearing/disappearing (causes layout shift)
     const {
       quantityRules,
@@ -559,31 +644,31 @@ class ProductFormComponent extends Component {
 
     // Update quantity selector's min/max/step attributes and cart quantity for the new variant
     const newQuantityInput = /** @type {HTMLInputElement | null} */ (
-      event.detail.data.html.querySelector('quantity-selector-component input[ref="quantityInput"]')
+      html.querySelector('quantity-selector-component input[ref="quantityInput"]')
     );
 
     if (quantitySelector?.updateConstraints && newQuantityInput) {
       quantitySelector.updateConstraints(newQuantityInput.min, newQuantityInput.max || null, newQuantityInput.step);
     }
 
-    const newQuantityRules = event.detail.data.html.querySelector('.quantity-rules');
+    const newQuantityRules = html.querySelector('.quantity-rules');
     const isQuantityRulesChanging = !!quantityRules !== !!newQuantityRules;
 
-    const newPricePerItem = event.detail.data.html.querySelector('price-per-item');
+    const newPricePerItem = html.querySelector('price-per-item');
     const isPricePerItemChanging = !!pricePerItem !== !!newPricePerItem;
 
     if ((isQuantityRulesChanging || isPricePerItemChanging) && quantitySelector) {
       // Store quantity value before morphing entire container
       const currentQuantityValue = quantitySelector.getValue?.();
 
-      const newProductFormButtons = event.detail.data.html.querySelector('.product-form-buttons');
+      const newProductFormButtons = html.querySelector('.product-form-buttons');
 
       if (productFormButtons && newProductFormButtons) {
         morph(productFormButtons, newProductFormButtons);
 
         // Get the NEW quantity selector after morphing and update its constraints
         const newQuantityInputElement = /** @type {HTMLInputElement | null} */ (
-          event.detail.data.html.querySelector('quantity-selector-component input[ref="quantityInput"]')
+          html.querySelector('quantity-selector-component input[ref="quantityInput"]')
         );
 
         if (this.refs.quantitySelector?.updateConstraints && newQuantityInputElement && currentQuantityValue) {
@@ -607,13 +692,13 @@ class ProductFormComponent extends Component {
       ];
 
       for (const [selector, currentElement, fallback] of morphTargets) {
-        this.#morphOrUpdateElement(currentElement, event.detail.data.html.querySelector(selector), fallback);
+        this.#morphOrUpdateElement(currentElement, html.querySelector(selector), fallback);
       }
     }
 
     // Morph volume pricing if it exists
     const currentVolumePricing = this.refs.volumePricing;
-    const newVolumePricing = event.detail.data.html.querySelector('volume-pricing');
+    const newVolumePricing = html.querySelector('volume-pricing');
     this.#morphOrUpdateElement(currentVolumePricing, newVolumePricing, this.refs.productFormButtons);
 
     const hasB2BFeatures =
@@ -625,6 +710,69 @@ class ProductFormComponent extends Component {
     await this.#fetchAndUpdateCartQuantity();
   };
 
+  /**
+   * Gets the order mode of a variant, from the order modes rendered with the page or the server render.
+   * @param {string} [variantId] - The id of the variant.
+   * @param {Document} [html] - The server render of the section.
+   * @returns {OrderMode}
+   */
+  #getOrderMode(variantId, html) {
+    const textContent = this.refs.orderModes?.textContent;
+
+    if (variantId && textContent) {
+      try {
+        const orderMode = JSON.parse(textContent)[variantId];
+        if (orderMode) return orderMode;
+      } catch (_) {
+        // Fall back to the server render
+      }
+    }
+
+    const modeInput = html?.querySelector('product-form-component [ref="orderModeInput"]');
+    const shipDateInput = html?.querySelector('product-form-component [ref="shipDateInput"]');
+    const mode = modeInput instanceof HTMLInputElement && !modeInput.disabled ? modeInput.value : null;
+    const shipDate = shipDateInput instanceof HTMLInputElement && !shipDateInput.disabled ? shipDateInput.value : null;
+
+    return { mode: mode === 'pre_order' || mode === 'made_to_order' ? mode : null, ship_date: shipDate };
+  }
+
+  /**
+   * Renders the line properties of an order mode, disabled inputs are left out of the added item.
+   * @param {OrderMode} orderMode
+   */
+  #renderOrderMode({ mode, ship_date }) {
+    const { orderModeInput, shipDateInput } = this.refs;
+
+    if (orderModeInput) {
+      orderModeInput.value = mode ?? '';
+      orderModeInput.disabled = !mode;
+    }
+
+    if (shipDateInput) {
+      shipDateInput.value = (mode && ship_date) || '';
+      shipDateInput.disabled = !mode || !ship_date;
+    }
+  }
+
+  /**
+   * Renders the text and icon of the add to cart button for a variant resolved without a server render.
+   * @param {HTMLButtonElement} button - The add to cart button.
+   * @param {VariantUpdateEvent['detail']['resource']} variant - The variant, null when the selection has none.
+   * @param {OrderMode} orderMode - The order mode of the variant.
+   */
+  #renderAddToCartText(button, variant, { mode }) {
+    const { addToCartText, soldOutText, unavailableText, preOrderText, madeToOrderText } = this.dataset;
+    const availableText =
+      mode === 'pre_order' ? preOrderText : mode === 'made_to_order' ? madeToOrderText : addToCartText;
+    const text = !variant ? unavailableText : variant.available ? availableText : soldOutText;
+    const textElement = button.querySelector('.add-to-cart-text__content > span > span');
+
+    if (textElement && text) textElement.textContent = text;
+
+    const icon = button.querySelector('.add-to-cart-icon');
+    if (icon instanceof HTMLElement) icon.hidden = !variant?.available;
+  }
+
   /**
    * Disable the add to cart button while the UI is updating before #onVariantUpdate is called.
    * Accelerated checkout button is also disabled via its own event listener not exposed to the theme.
@@ -634,6 +782,48 @@ class ProductFormComponent extends Component {
   };
 }
 
+/**
+ * Shows an error under an add-on of the add-ons block.
+ * @param {HTMLInputElement} input - The add-on checkbox
+ * @param {string} message - The message to show, or an empty string to hide it
+ */
+function setAddOnError(input, message) {
+  const error = input.closest('[data-add-on]')?.querySelector('[data-add-on-error]');
+  if (!(error instanceof HTMLElement)) return;
+
+  error.textContent = message;
+  error.hidden = !message;
+}
+
+/**
+ * Converts the data of a product form to an item of a `/cart/add.js` request. Files can't be sent as JSON, they're
+ * left out.
+ * @param {FormData} formData
+ * @returns {{id: string, quantity: number, properties: Record<string, string>, selling_plan?: number}}
+ */
+function getItemFromFormData(formData) {
+  /** @type {{id: string, quantity: number, properties: Record<string, string>, selling_plan?: number}} */
+  const item = { id: '', quantity: 1, properties: {} };
+
+  for (const [name, value] of formData) {
+    if (typeof value !== 'string') continue;
+
+    const property = name.match(/^properties\[(.+)\]$/)?.[1];
+
+    if (property) {
+      item.properties[property] = value;
+    } else if (name === 'id') {
+      item.id = value;
+    } else if (name === 'quantity') {
+      item.quantity = Number(value) || 1;
+    } else if (name === 'selling_plan' && value) {
+      item.selling_plan = Number(value);
+    }
+  }
+
+  return item;
+}
+
 if (!customElements.get('product-form-component')) {
   customElements.define('product-form-component', ProductFormComponent);
 }
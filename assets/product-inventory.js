@@ -1,6 +1,20 @@
 import { ThemeEvents, VariantUpdateEvent } from '@theme/events';
 import { morph } from '@theme/morph';
 
+/**
+ * @typedef {object} VariantInventory
+ * @property {string} status - 'in_stock', 'low' or 'out_of_stock'
+ * @property {string} message - The message of the stock level
+ * @property {number | null} level - The share of the full stock bar in stock, null when the bar isn't shown
+ * @property {string | null} incoming - The message of the incoming stock, null when none is incoming
+ */
+
+/**
+ * A custom element that displays the inventory status of the selected variant.
+ *
+ * The status of every variant is rendered with the page, so variant updates switch it instantly, including the
+ * updates of the variant pickers of product cards. Products with too many variants fall back to the server render.
+ */
 class ProductInventory extends HTMLElement {
   connectedCallback() {
     const closestSection = this.closest('.shopify-section, dialog');
@@ -23,12 +37,66 @@ class ProductInventory extends HTMLElement {
       return;
     }
 
-    const newInventory = event.detail.data.html.querySelector('product-inventory');
+    const inventory = this.#getVariantInventory(event.detail.resource?.id);
+
+    if (inventory) {
+      this.#render(inventory);
+      return;
+    }
+
+    const newInventory = event.detail.data.html?.querySelector('product-inventory');
 
     if (!newInventory) return;
 
     morph(this, newInventory, { childrenOnly: true });
   };
+
+  /**
+   * Gets the status of a variant from the statuses rendered with the page.
+   * @param {string} [variantId] - The id of the variant.
+   * @returns {VariantInventory | undefined}
+   */
+  #getVariantInventory(variantId) {
+    const textContent = this.querySelector('script[data-variant-inventory]')?.textContent;
+    if (!variantId || !textContent) return undefined;
+
+    try {
+      return JSON.parse(textContent)[variantId];
+    } catch (_) {
+      return undefined;
+    }
+  }
+
+  /**
+   * Renders the status of a variant.
+   * @param {VariantInventory} inventory
+   */
+  #render({ status, message, level, incoming }) {
+    const icon = this.querySelector('.product-inventory__icon');
+    if (icon) {
+      for (const className of Array.from(icon.classList)) {
+        if (className.startsWith('product-inventory__icon-')) icon.classList.remove(className);
+      }
+      icon.classList.add(`product-inventory__icon-${status}`);
+    }
+
+    // The text is a live region, only touch it when the message changes
+    const text = this.querySelector('.product-inventory__text');
+    if (text && text.textContent?.trim() !== message) text.textContent = message;
+
+    const bar = this.querySelector('.product-inventory__bar');
+    if (bar instanceof HTMLElement) {
+      bar.hidden = level === null;
+      bar.className = `product-inventory__bar product-inventory__bar--${status}`;
+      bar.style.setProperty('--stock-level', String(level ?? 0));
+    }
+
+    const incomingElement = this.querySelector('.product-inventory__incoming');
+    if (incomingElement instanceof HTMLElement) {
+      incomingElement.hidden = !incoming;
+      incomingElement.textContent = incoming ?? '';
+    }
+  }
 }
 
 if (!customElements.get('product-inventory')) {
@@ -31,8 +31,12 @@ class ProductPrice extends HTMLElement {
       return;
     }
 
-    // Find the new product-price element in the updated HTML
-    const newProductPrice = event.detail.data.html.querySelector(`product-price[data-block-id="${this.dataset.blockId}"]`);
+    // Find the new product-price element in the updated HTML, or the price of the variant rendered with the page
+    // when the variant picker resolved the variant itself
+    const { html } = event.detail.data;
+    const newProductPrice = html
+      ? html.querySelector(`product-price[data-block-id="${this.dataset.blockId}"]`)
+      : this.#getVariantPrice(event.detail.resource?.id);
     if (!newProductPrice) return;
 
     // Update price container
@@ -52,6 +56,20 @@ class ProductPrice extends HTMLElement {
       currentNote.replaceWith(newNote);
     }
   };
+
+  /**
+   * Gets the price of a variant from the templates rendered for instant variant updates.
+   * @param {string} [variantId] - The id of the variant.
+   * @returns {DocumentFragment | undefined}
+   */
+  #getVariantPrice(variantId) {
+    if (!variantId) return undefined;
+
+    const template = this.querySelector(`template[data-variant-id="${variantId}"]`);
+    if (!(template instanceof HTMLTemplateElement)) return undefined;
+
+    return /** @type {DocumentFragment} */ (template.content.cloneNode(true));
+  }
 }
 
 if (!customElements.get('product-price')) {
@@ -19,10 +19,12 @@ export class QuickAddComponent extends Component {
       this.closest('product-hotspot-component')
     );
     const productLink = productCard?.getProductCardLink() || hotspotProduct?.getHotspotProductLink();
+    // Quick adds outside a card, e.g. in the cart recommendations, carry their own product URL
+    const href = productLink?.href || this.dataset.productUrl;
 
-    if (!productLink?.href) return '';
+    if (!href) return '';
 
-    const url = new URL(productLink.href);
+    const url = new URL(href, window.location.origin);
 
     if (url.searchParams.has('variant')) {
       return url.toString();
@@ -192,6 +194,7 @@ export class QuickAddComponent extends Component {
       const productFormComponent = productGrid.querySelector('product-form-component');
       const variantPicker = productGrid.querySelector('variant-picker');
       const productPrice = productGrid.querySelector('product-price');
+      const wishlistButton = productGrid.querySelector('.product-details wishlist-button');
       const productTitle = document.createElement('a');
       productTitle.textContent = this.dataset.productTitle || '';
 
@@ -205,6 +208,9 @@ export class QuickAddComponent extends Component {
       if (productPrice) {
         productHeader.appendChild(productPrice);
       }
+      if (wishlistButton) {
+        productHeader.appendChild(wishlistButton);
+      }
       productGrid.appendChild(productHeader);
 
       if (variantPicker) {
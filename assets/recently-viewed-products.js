@@ -1,24 +1,44 @@
+import { Component } from '@theme/component';
+import { morph } from '@theme/morph';
+import { ThemeEvents, VariantUpdateEvent } from '@theme/events';
+import { sectionRenderer } from '@theme/section-renderer';
+
+/**
+ * The file name of the section rendered with the recently viewed products.
+ */
+const RECENTLY_VIEWED_SECTION_NAME = 'recently-viewed';
+
+/**
+ * @typedef {object} ViewedProduct
+ * @property {string} id - The product id
+ * @property {string} handle - The product handle
+ * @property {string | null} variantId - The id of the variant that was last viewed
+ * @property {number} timestamp - When the product was last viewed
+ */
+
 /**
  * Updates the recently viewed products in localStorage.
+ *
+ * The number of products and how long they are remembered are theme settings.
  */
 export class RecentlyViewed {
-  /** @static @constant {string} The key used to store the viewed products in session storage */
+  /** @static @constant {string} The key used to store the viewed products in local storage */
   static #STORAGE_KEY = 'viewedProducts';
-  /** @static @constant {number} The maximum number of products to store */
-  static #MAX_PRODUCTS = 4;
+  /** @static @constant {number} The maximum number of products to store when the setting is missing */
+  static #DEFAULT_MAX_PRODUCTS = 8;
+  /** @static @constant {number} The number of days a product is remembered when the setting is missing */
+  static #DEFAULT_MAX_AGE_DAYS = 30;
 
   /**
-   * Adds a product to the recently viewed products list.
-   * @param {string} productId - The ID of the product to add.
+   * Adds a product to the recently viewed products list, or moves it to the front.
+   * @param {{id: string, handle: string, variantId?: string | null}} product - The product that was viewed.
    */
-  static addProduct(productId) {
-    let viewedProducts = this.getProducts();
+  static addProduct({ id, handle, variantId = null }) {
+    const entries = this.getEntries().filter((entry) => entry.id !== id);
 
-    viewedProducts = viewedProducts.filter((/** @type {string} */ id) => id !== productId);
-    viewedProducts.unshift(productId);
-    viewedProducts = viewedProducts.slice(0, this.#MAX_PRODUCTS);
+    entries.unshift({ id, handle, variantId, timestamp: Date.now() });
 
-    localStorage.setItem(this.#STORAGE_KEY, JSON.stringify(viewedProducts));
+    this.#setEntries(entries);
   }
 
   static clearProducts() {
@@ -26,10 +46,192 @@ export class RecentlyViewed {
   }
 
   /**
-   * Retrieves the list of recently viewed products from session storage.
-   * @returns {string[]} The list of viewed products.
+   * Retrieves the ids of the recently viewed products, most recent first.
+   * @returns {string[]} The list of viewed product ids.
    */
   static getProducts() {
-    return JSON.parse(localStorage.getItem(this.#STORAGE_KEY) || '[]');
+    return this.getEntries().map((entry) => entry.id);
+  }
+
+  /**
+   * Retrieves the recently viewed products, most recent first. Expired products are left out.
+   * @returns {ViewedProduct[]} The list of viewed products.
+   */
+  static getEntries() {
+    /** @type {unknown[]} */
+    let stored;
+
+    try {
+      stored = JSON.parse(localStorage.getItem(this.#STORAGE_KEY) || '[]');
+    } catch (_) {
+      return [];
+    }
+
+    if (!Array.isArray(stored)) return [];
+
+    const oldest = Date.now() - this.#maxAgeDays * 24 * 60 * 60 * 1000;
+
+    return stored
+      .map(toEntry)
+      .filter((entry) => entry !== null && entry.timestamp >= oldest)
+      .slice(0, this.#maxProducts);
+  }
+
+  /**
+   * @param {ViewedProduct[]} entries
+   */
+  static #setEntries(entries) {
+    try {
+      localStorage.setItem(this.#STORAGE_KEY, JSON.stringify(entries.slice(0, this.#maxProducts)));
+    } catch (_) {
+      // Storage may be full or disabled
+    }
+  }
+
+  static get #maxProducts() {
+    return Theme.settings?.recently_viewed_max_products || this.#DEFAULT_MAX_PRODUCTS;
+  }
+
+  static get #maxAgeDays() {
+    return Theme.settings?.recently_viewed_max_age_days || this.#DEFAULT_MAX_AGE_DAYS;
+  }
+}
+
+/**
+ * Normalizes a stored entry. Older versions of the theme stored bare product ids.
+ * @param {unknown} value
+ * @returns {ViewedProduct | null}
+ */
+function toEntry(value) {
+  if (typeof value === 'string' || typeof value === 'number') {
+    return { id: String(value), handle: '', variantId: null, timestamp: Date.now() };
+  }
+
+  if (value && typeof value === 'object' && 'id' in value) {
+    const entry = /** @type {Partial<ViewedProduct>} */ (value);
+
+    return {
+      id: String(entry.id),
+      handle: entry.handle ?? '',
+      variantId: entry.variantId ?? null,
+      timestamp: Number(entry.timestamp) || Date.now(),
+    };
+  }
+
+  return null;
+}
+
+/**
+ * A custom element that renders the recently viewed products.
+ *
+ * The section is rendered a second time on the search page, searching for the viewed product ids. The search
+ * template doesn't hold the section, so it's rendered by its file name.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} content - The element hidden while there is nothing to show.
+ * @property {HTMLElement} grid - The product grid, with an item per product marked with `data-product-id`.
+ *
+ * @extends {Component<Refs>}
+ */
+class RecentlyViewedProductsComponent extends Component {
+  requiredRefs = ['content', 'grid'];
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#render().catch(() => {
+      // Nothing to show without the products, keep the section hidden
+      this.refs.content.hidden = true;
+    });
+  }
+
+  async #render() {
+    const { content, grid } = this.refs;
+    const { excludeProductId, limit } = this.dataset;
+
+    const entries = RecentlyViewed.getEntries()
+      .filter((entry) => entry.id !== excludeProductId)
+      .slice(0, Number(limit) || undefined);
+
+    if (entries.length === 0) return;
+
+    const url = new URL(Theme.routes.search_url, location.origin);
+    url.searchParams.set('q', entries.map(({ id }) => `id:${id}`).join(' OR '));
+    url.searchParams.set('type', 'product');
+
+    const markup = await sectionRenderer.getSectionHTML(RECENTLY_VIEWED_SECTION_NAME, false, url);
+    const html = new DOMParser().parseFromString(markup, 'text/html');
+    const newGrid = html.querySelector('.recently-viewed__grid');
+    if (!newGrid) return;
+
+    const ids = entries.map(({ id }) => id);
+    const items = [...newGrid.querySelectorAll('[data-product-id]')];
+
+    // Search results are sorted by relevance, show the most recently viewed products first
+    items.sort(
+      (a, b) =>
+        ids.indexOf(a.getAttribute('data-product-id') ?? '') - ids.indexOf(b.getAttribute('data-product-id') ?? '')
+    );
+
+    // Link to the variant that was viewed
+    for (const item of items) {
+      const variantId = entries.find(({ id }) => id === item.getAttribute('data-product-id'))?.variantId;
+      if (!variantId) continue;
+
+      for (const link of item.querySelectorAll('a[href*="/products/"]')) {
+        const href = new URL(link.getAttribute('href') ?? '', location.origin);
+        href.searchParams.set('variant', variantId);
+        link.setAttribute('href', `${href.pathname}${href.search}`);
+      }
+    }
+
+    newGrid.replaceChildren(...items);
+    // Rendered on its own, the section has another id than the one on the page
+    newGrid.id = grid.id;
+    morph(grid, newGrid);
+
+    content.hidden = items.length === 0;
+  }
+}
+
+if (!customElements.get('recently-viewed-products-component')) {
+  customElements.define('recently-viewed-products-component', RecentlyViewedProductsComponent);
+}
+
+/**
+ * A custom element that records the product page it's rendered on, and the variant selected last.
+ */
+class RecentlyViewedTracker extends HTMLElement {
+  connectedCallback() {
+    document.addEventListener(ThemeEvents.variantUpdate, this.#handleVariantUpdate);
+
+    this.#track(this.dataset.variantId ?? null);
+  }
+
+  disconnectedCallback() {
+    document.removeEventListener(ThemeEvents.variantUpdate, this.#handleVariantUpdate);
+  }
+
+  /**
+   * @param {VariantUpdateEvent} event
+   */
+  #handleVariantUpdate = (event) => {
+    if (event.detail.data.productId !== this.dataset.productId || !event.detail.resource) return;
+
+    this.#track(String(event.detail.resource.id));
+  };
+
+  /**
+   * @param {string | null} variantId
+   */
+  #track(variantId) {
+    const { productId, productHandle = '' } = this.dataset;
+    if (!productId) return;
+
+    RecentlyViewed.addProduct({ id: productId, handle: productHandle, variantId });
   }
 }
+
+if (!customElements.get('recently-viewed-tracker')) {
+  customElements.define('recently-viewed-tracker', RecentlyViewedTracker);
+}
@@ -1,5 +1,12 @@
 import { mediaQueryLarge, requestIdleCallback, startViewTransition } from '@theme/utilities';
 import PaginatedList from '@theme/paginated-list';
+import { sectionRenderer } from '@theme/section-renderer';
+
+/**
+ * How long the results are cached, in milliseconds. They show prices and availability, which go stale sooner than
+ * the other sections.
+ */
+const RESULTS_CACHE_TTL = 2 * 60 * 1000;
 
 /**
  * A custom element that renders a pagniated results list
@@ -8,12 +15,16 @@ export default class ResultsList extends PaginatedList {
   connectedCallback() {
     super.connectedCallback();
 
+    sectionRenderer.setCacheTTL(this.sectionId, RESULTS_CACHE_TTL);
+
     mediaQueryLarge.addEventListener('change', this.#handleMediaQueryChange);
+    window.addEventListener('popstate', this.#handlePopState);
     this.setAttribute('initialized', '');
   }
 
   disconnectedCallback() {
     mediaQueryLarge.removeEventListener('change', this.#handleMediaQueryChange);
+    window.removeEventListener('popstate', this.#handlePopState);
   }
 
   /**
@@ -27,6 +38,42 @@ export default class ResultsList extends PaginatedList {
     this.#animateLayoutChange(target.value);
   }
 
+  /**
+   * Renders the page of a pagination link in place. The page is usually prefetched when the link is hovered.
+   *
+   * @param {Record<string, string | number>} _params - The search params of the link
+   * @param {MouseEvent} event
+   */
+  goToPage(_params, event) {
+    const link = event.target instanceof Element ? event.target.closest('a') : null;
+    if (!link || event.metaKey || event.ctrlKey || event.shiftKey) return;
+
+    event.preventDefault();
+
+    const url = new URL(link.href);
+    history.pushState('', '', url.toString());
+
+    startViewTransition(() => sectionRenderer.renderSection(this.sectionId, { url }), ['product-grid']).then(() => {
+      this.scrollIntoView({ block: 'start', behavior: 'smooth' });
+    });
+  }
+
+  /**
+   * Renders the results of the history entry the user went back or forward to, from the cache or the snapshot of
+   * the page when it has them.
+   */
+  #handlePopState = () => {
+    const url = new URL(window.location.href);
+
+    const render = () =>
+      sectionRenderer.renderSection(this.sectionId, { url }).catch(() => {
+        // The results couldn't be rendered in place, load the page of the URL instead
+        window.location.reload();
+      });
+
+    startViewTransition(render, ['product-grid']);
+  };
+
   /**
    * Sets the layout.
    *
@@ -0,0 +1,344 @@
+import { Component } from '@theme/component';
+import { ThemeEvents, SavedForLaterUpdateEvent } from '@theme/events';
+import { cartStore, CartError } from '@theme/cart-store';
+import { formatCents } from '@theme/utilities';
+
+/**
+ * @typedef {import('@theme/cart-store').CartLine} CartLine
+ */
+
+/**
+ * @typedef {object} SavedItem
+ * @property {string} id - The key of the cart line the item was saved from
+ * @property {number} variantId - The variant id
+ * @property {number} quantity - The quantity
+ * @property {Record<string, string>} properties - The line item properties, e.g. gift card recipient fields
+ * @property {number | null} sellingPlanId - The selling plan id
+ * @property {string} title - The product title
+ * @property {string | null} variantTitle - The variant title
+ * @property {string} url - The url of the variant
+ * @property {string | null} image - The url of the image
+ * @property {number} price - The unit price in cents when the item was saved
+ * @property {number} savedAt - When the item was saved
+ */
+
+/**
+ * Undoes saving a cart line, see `SavedForLater.undo`.
+ * @typedef {object} SavedItemUndo
+ * @property {string} id - The id of the saved item the line was saved to
+ * @property {number} quantity - The quantity the line added
+ * @property {number | null} previousSavedAt - When the item was saved before, null when the line created it
+ */
+
+/**
+ * Stores the cart lines saved for later in localStorage.
+ */
+export class SavedForLater {
+  /** @static @constant {string} The key used to store the saved items in local storage */
+  static #STORAGE_KEY = 'theme:saved-for-later';
+
+  /**
+   * Saves a cart line for later. Saving a line matching an item already saved adds up the quantities.
+   * @param {CartLine} line - The cart line to save
+   * @returns {SavedItemUndo} Undoes the save without touching what was saved before
+   */
+  static add(line) {
+    const items = this.getItems();
+    /** @type {SavedItem} */
+    const item = {
+      id: line.key,
+      variantId: line.variant_id,
+      quantity: line.quantity,
+      properties: line.properties ?? {},
+      sellingPlanId: line.selling_plan_allocation?.selling_plan.id ?? null,
+      title: line.product_title,
+      variantTitle: line.variant_title,
+      url: line.url,
+      image: line.image,
+      price: line.final_price,
+      savedAt: Date.now(),
+    };
+
+    const existing = items.find((saved) => isSameLine(saved, item));
+
+    /** @type {SavedItemUndo} */
+    const undo = { id: existing?.id ?? item.id, quantity: item.quantity, previousSavedAt: existing?.savedAt ?? null };
+
+    if (existing) {
+      existing.quantity += item.quantity;
+      existing.savedAt = item.savedAt;
+    } else {
+      items.unshift(item);
+    }
+
+    this.#setItems(items);
+
+    return undo;
+  }
+
+  /**
+   * Undoes saving a cart line, e.g. when the line couldn't be removed from the cart. An item the line was merged
+   * into keeps the quantity saved before.
+   * @param {SavedItemUndo} undo - The undo returned by `add`
+   */
+  static undo({ id, quantity, previousSavedAt }) {
+    const items = this.getItems();
+    const item = items.find((saved) => saved.id === id);
+    if (!item) return;
+
+    if (previousSavedAt === null || item.quantity <= quantity) {
+      this.#setItems(items.filter((saved) => saved !== item));
+      return;
+    }
+
+    item.quantity -= quantity;
+    item.savedAt = previousSavedAt;
+    this.#setItems(items);
+  }
+
+  /**
+   * Removes a saved item.
+   * @param {string} id - The id of the saved item
+   */
+  static remove(id) {
+    this.#setItems(this.getItems().filter((item) => item.id !== id));
+  }
+
+  /**
+   * Retrieves the saved items, most recently saved first.
+   * @returns {SavedItem[]}
+   */
+  static getItems() {
+    try {
+      const items = JSON.parse(localStorage.getItem(this.#STORAGE_KEY) || '[]');
+
+      return Array.isArray(items) ? items : [];
+    } catch (_) {
+      return [];
+    }
+  }
+
+  /**
+   * Whether a storage event is about the saved items.
+   * @param {StorageEvent} event
+   * @returns {boolean}
+   */
+  static isStorageEvent(event) {
+    return event.key === this.#STORAGE_KEY;
+  }
+
+  /**
+   * @param {SavedItem[]} items
+   */
+  static #setItems(items) {
+    try {
+      localStorage.setItem(this.#STORAGE_KEY, JSON.stringify(items));
+    } catch (_) {
+      // Storage may be full or disabled
+    }
+
+    document.dispatchEvent(new SavedForLaterUpdateEvent(items));
+  }
+}
+
+/**
+ * Checks whether two saved items would end up on the same cart line.
+ * @param {SavedItem} a
+ * @param {SavedItem} b
+ * @returns {boolean}
+ */
+function isSameLine(a, b) {
+  return (
+    a.variantId === b.variantId &&
+    a.sellingPlanId === b.sellingPlanId &&
+    JSON.stringify(a.properties) === JSON.stringify(b.properties)
+  );
+}
+
+/**
+ * A custom element that renders the saved for later list and moves items back into the cart.
+ *
+ * The list is rendered on the client, so the element must be marked with `data-skip-subtree-update`
+ * to survive the section re-renders of the cart.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} content - The element hidden while nothing is saved.
+ * @property {HTMLElement} list - The list the items are rendered in.
+ * @property {HTMLTemplateElement} itemTemplate - The template of a saved item.
+ *
+ * @extends {Component<Refs>}
+ */
+class SavedForLaterComponent extends Component {
+  requiredRefs = ['content', 'list', 'itemTemplate'];
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.savedForLaterUpdate, this.#render);
+    window.addEventListener('storage', this.#handleStorage);
+
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.savedForLaterUpdate, this.#render);
+    window.removeEventListener('storage', this.#handleStorage);
+  }
+
+  /**
+   * Moves the item the event was triggered from back into the cart.
+   * @param {Event} event
+   */
+  async moveToCart(event) {
+    const element = this.#getItemElement(event);
+    const item = SavedForLater.getItems().find(({ id }) => id === element?.dataset.savedId);
+    if (!element || !item) return;
+
+    const button = event.target instanceof HTMLButtonElement ? event.target : null;
+    if (button) button.disabled = true;
+
+    this.#setItemError(element, '');
+
+    // Render the lines in the same request, they update from the event
+    const sections = [...document.querySelectorAll('cart-items-component')]
+      .map((cartItems) => (cartItems instanceof HTMLElement ? cartItems.dataset.sectionId : undefined))
+      .filter((sectionId) => sectionId !== undefined);
+
+    try {
+      await cartStore.add(
+        [
+          {
+            id: item.variantId,
+            quantity: item.quantity,
+            properties: item.properties,
+            ...(item.sellingPlanId ? { selling_plan: item.sellingPlanId } : {}),
+          },
+        ],
+        {
+          target: this,
+          sourceId: item.id,
+          sections,
+          data: { source: 'saved-for-later-component', variantId: String(item.variantId) },
+        }
+      );
+
+      SavedForLater.remove(item.id);
+    } catch (error) {
+      if (button) button.disabled = false;
+      this.#setItemError(element, error instanceof CartError ? error.message : '');
+    }
+  }
+
+  /**
+   * Removes the item the event was triggered from.
+   * @param {Event} event
+   */
+  removeItem(event) {
+    const id = this.#getItemElement(event)?.dataset.savedId;
+    if (id) SavedForLater.remove(id);
+  }
+
+  /**
+   * @param {Event} event
+   * @returns {HTMLElement | null}
+   */
+  #getItemElement(event) {
+    if (!(event.target instanceof Element)) return null;
+
+    event.preventDefault();
+
+    return event.target.closest('[data-saved-id]');
+  }
+
+  /**
+   * @param {StorageEvent} event
+   */
+  #handleStorage = (event) => {
+    if (SavedForLater.isStorageEvent(event)) this.#render();
+  };
+
+  #render = () => {
+    const { content, list, itemTemplate } = this.refs;
+    const { moneyFormat = '{{amount}}' } = this.dataset;
+    const items = SavedForLater.getItems();
+
+    list.replaceChildren(
+      ...items.map((item) => {
+        const fragment = /** @type {DocumentFragment} */ (itemTemplate.content.cloneNode(true));
+        const element = fragment.firstElementChild;
+
+        if (!(element instanceof HTMLElement)) return fragment;
+
+        element.dataset.savedId = item.id;
+
+        for (const link of element.querySelectorAll('[data-saved-link]')) {
+          link.setAttribute('href', item.url);
+        }
+
+        const image = element.querySelector('[data-saved-image]');
+        if (image instanceof HTMLImageElement) {
+          if (item.image) {
+            image.src = item.image;
+            image.alt = item.title;
+          } else {
+            image.remove();
+          }
+        }
+
+        setText(element, '[data-saved-title]', item.title);
+        setText(element, '[data-saved-variant]', item.variantTitle);
+        setText(element, '[data-saved-properties]', formatProperties(item.properties));
+        setText(element, '[data-saved-quantity]', String(item.quantity));
+        setText(element, '[data-saved-price]', formatCents(item.price * item.quantity, moneyFormat));
+
+        return fragment;
+      })
+    );
+
+    content.hidden = items.length === 0;
+  };
+
+  /**
+   * @param {HTMLElement} element
+   * @param {string} message - The message to show, or an empty string to hide it
+   */
+  #setItemError(element, message) {
+    const error = element.querySelector('[data-saved-error]');
+    if (!(error instanceof HTMLElement)) return;
+
+    error.textContent = message;
+    error.hidden = !message;
+  }
+}
+
+/**
+ * Sets the text of an element, hiding it when there is no text.
+ * @param {HTMLElement} root
+ * @param {string} selector
+ * @param {string | null} text
+ */
+function setText(root, selector, text) {
+  const element = root.querySelector(selector);
+  if (!(element instanceof HTMLElement)) return;
+
+  element.textContent = text ?? '';
+  element.hidden = !text;
+}
+
+/**
+ * Formats the visible line item properties, properties starting with an underscore are private.
+ * @param {Record<string, string>} properties
+ * @returns {string}
+ */
+function formatProperties(properties) {
+  return Object.entries(properties)
+    .filter(([name, value]) => value && !name.startsWith('_'))
+    .map(([name, value]) => `${name}: ${value}`)
+    .join(', ');
+}
+
+if (!customElements.get('saved-for-later-component')) {
+  customElements.define('saved-for-later-component', SavedForLaterComponent);
+}
@@ -1,15 +1,45 @@
 import { morph } from '@theme/morph';
+import { ThemeEvents } from '@theme/events';
+
+/**
+ * @typedef {object} CacheEntry
+ * @property {string} sectionId - The normalized section ID
+ * @property {string} html - The section HTML
+ * @property {number} expiresAt - When the entry expires
+ * @property {boolean} snapshot - Whether the entry was captured from the page rather than fetched
+ */
+
+/**
+ * The maximum number of section responses kept in the cache
+ */
+const MAX_CACHE_ENTRIES = 30;
+
+/**
+ * How long a section response is cached by default, in milliseconds
+ */
+const DEFAULT_CACHE_TTL = 5 * 60 * 1000;
+
+/**
+ * The maximum number of sections the Section Rendering API renders in one request
+ */
+const MAX_SECTIONS_PER_REQUEST = 5;
 
 /**
  * A class to re-render sections using the Section Rendering API
  */
 class SectionRenderer {
   /**
-   * The cache of section HTML
-   * @type {Map<string, string>}
+   * The cache of section HTML by section rendering URL, least recently used first
+   * @type {Map<string, CacheEntry>}
    */
   #cache = new Map();
 
+  /**
+   * The cache TTL by section ID, for sections that shouldn't use the default
+   * @type {Map<string, number>}
+   */
+  #ttlBySectionId = new Map();
+
   /**
    * The abort controllers by section ID
    * @type {Map<string, AbortController>}
@@ -22,8 +52,28 @@ class SectionRenderer {
    */
   #pendingPromises = new Map();
 
+  /**
+   * Incremented by every invalidation of all sections, responses requested before it aren't cached
+   * @type {number}
+   */
+  #cacheGeneration = 0;
+
+  /**
+   * Incremented by every invalidation of a section, by normalized section ID
+   * @type {Map<string, number>}
+   */
+  #cacheGenerationBySectionId = new Map();
+
   constructor() {
     window.addEventListener('load', this.#cachePageSections.bind(this));
+
+    // Only the sections rendered with the cart change, product grids and filters stay cached
+    document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+    // The page snapshots hold client side state (loaded pages, open filters) that no longer matches the filters
+    document.addEventListener(ThemeEvents.FilterUpdate, () => this.#invalidateSnapshots());
+
+    document.addEventListener('pointerover', this.#handlePrefetchIntent);
+    document.addEventListener('focusin', this.#handlePrefetchIntent);
   }
 
   /**
@@ -37,15 +87,12 @@ class SectionRenderer {
   async renderSection(sectionId, options) {
     const { cache = !Shopify.designMode } = options ?? {};
     const { url } = options ?? {};
-    this.#abortPendingMorph(sectionId);
-
-    const abortController = new AbortController();
-    this.#abortControllersBySectionId.set(sectionId, abortController);
+    const abortController = this.#startRender([sectionId]);
 
     const sectionHTML = await this.getSectionHTML(sectionId, cache, url);
 
     if (!abortController.signal.aborted) {
-      this.#abortControllersBySectionId.delete(sectionId);
+      this.#finishRender([sectionId], abortController);
 
       morphSection(sectionId, sectionHTML);
     }
@@ -54,13 +101,69 @@ class SectionRenderer {
   }
 
   /**
-   * Aborts an existing morph for a section
-   * @param {string} sectionId - The section ID
+   * Renders several sections with as few requests as possible. A later render of any of the sections aborts the
+   * whole batch, none of its sections are morphed then.
+   * @param {string[]} sectionIds - The section IDs
+   * @param {Object} [options] - The options
+   * @param {boolean} [options.cache] - Whether to use the cache
+   * @param {URL} [options.url] - The URL to render the sections from
+   * @returns {Promise<Record<string, string>>} The rendered section HTML by section ID
+   */
+  async renderSections(sectionIds, options) {
+    const { cache = !Shopify.designMode } = options ?? {};
+    const { url } = options ?? {};
+    const abortController = this.#startRender(sectionIds);
+
+    let sectionsHTML;
+
+    try {
+      sectionsHTML = await this.getSectionsHTML(sectionIds, cache, url, abortController.signal);
+    } catch (error) {
+      if (abortController.signal.aborted) return {};
+      throw error;
+    }
+
+    if (!abortController.signal.aborted) {
+      this.#finishRender(sectionIds, abortController);
+
+      for (const [sectionId, sectionHTML] of Object.entries(sectionsHTML)) {
+        morphSection(sectionId, sectionHTML);
+      }
+    }
+
+    return sectionsHTML;
+  }
+
+  /**
+   * Aborts the pending renders of the sections and registers a new one
+   * @param {string[]} sectionIds - The section IDs
+   * @returns {AbortController} The abort controller of the new render
+   */
+  #startRender(sectionIds) {
+    const abortController = new AbortController();
+
+    for (const sectionId of sectionIds) {
+      const normalizedId = normalizeSectionId(sectionId);
+
+      this.#abortControllersBySectionId.get(normalizedId)?.abort();
+      this.#abortControllersBySectionId.set(normalizedId, abortController);
+    }
+
+    return abortController;
+  }
+
+  /**
+   * Unregisters a render that is about to morph its sections
+   * @param {string[]} sectionIds - The section IDs
+   * @param {AbortController} abortController - The abort controller of the render
    */
-  #abortPendingMorph(sectionId) {
-    const existingAbortController = this.#abortControllersBySectionId.get(sectionId);
-    if (existingAbortController) {
-      existingAbortController.abort();
+  #finishRender(sectionIds, abortController) {
+    for (const sectionId of sectionIds) {
+      const normalizedId = normalizeSectionId(sectionId);
+
+      if (this.#abortControllersBySectionId.get(normalizedId) === abortController) {
+        this.#abortControllersBySectionId.delete(normalizedId);
+      }
     }
   }
 
@@ -69,43 +172,310 @@ class SectionRenderer {
    * @param {string} sectionId - The section ID
    * @param {boolean} useCache - Whether to use the cache
    * @param {URL} url - The URL to render the section for
+   * @param {AbortSignal} [signal] - Aborts the request
    * @returns {Promise<string>} The rendered section HTML
    */
-  async getSectionHTML(sectionId, useCache = true, url = new URL(window.location.href)) {
+  async getSectionHTML(sectionId, useCache = true, url = new URL(window.location.href), signal) {
     const sectionUrl = buildSectionRenderingURL(sectionId, url);
 
     let pendingPromise = this.#pendingPromises.get(sectionUrl);
     if (pendingPromise) return pendingPromise;
 
     if (useCache) {
-      const cachedHTML = this.#cache.get(sectionUrl);
+      const cachedHTML = this.#getCachedHTML(sectionUrl);
 
       if (cachedHTML) return cachedHTML;
     }
 
-    pendingPromise = fetch(sectionUrl).then((response) => {
+    const cacheGeneration = this.#getCacheGeneration(sectionId);
+
+    pendingPromise = fetch(sectionUrl, { signal }).then((response) => {
+      if (!response.ok) throw new Error(`Failed to render section ${sectionId}: ${response.status}`);
+
       return response.text();
     });
 
-    this.#pendingPromises.set(sectionUrl, pendingPromise);
+    const sharedPromise = pendingPromise;
+    const removePendingPromise = () => {
+      if (this.#pendingPromises.get(sectionUrl) === sharedPromise) this.#pendingPromises.delete(sectionUrl);
+    };
 
-    const sectionHTML = await pendingPromise;
-    this.#pendingPromises.delete(sectionUrl);
+    // Aborted requests aren't shared, later requests for the section fetch it again
+    if (!signal?.aborted) {
+      this.#pendingPromises.set(sectionUrl, sharedPromise);
+      signal?.addEventListener('abort', removePendingPromise, { once: true });
+    }
 
-    this.#cache.set(sectionUrl, sectionHTML);
-    return sectionHTML;
+    try {
+      const sectionHTML = await pendingPromise;
+
+      // The cache was invalidated while the section was fetched, the response may already be outdated
+      if (cacheGeneration === this.#getCacheGeneration(sectionId)) {
+        this.#setCachedHTML(sectionUrl, sectionId, sectionHTML);
+      }
+      return sectionHTML;
+    } finally {
+      removePendingPromise();
+      signal?.removeEventListener('abort', removePendingPromise);
+    }
+  }
+
+  /**
+   * Gets the HTML for several sections, fetching the ones that aren't cached with the `sections` parameter
+   * @param {string[]} sectionIds - The section IDs
+   * @param {boolean} useCache - Whether to use the cache
+   * @param {URL} url - The URL to render the sections for
+   * @param {AbortSignal} [signal] - Aborts the requests
+   * @returns {Promise<Record<string, string>>} The rendered section HTML by section ID
+   */
+  async getSectionsHTML(sectionIds, useCache = true, url = new URL(window.location.href), signal) {
+    /** @type {Record<string, string>} */
+    const sectionsHTML = {};
+    /** @type {Promise<void>[]} */
+    const pending = [];
+    /** @type {string[]} */
+    const missingIds = [];
+
+    for (const sectionId of sectionIds) {
+      const normalizedId = normalizeSectionId(sectionId);
+      const sectionUrl = buildSectionRenderingURL(normalizedId, new URL(url));
+      const pendingPromise = this.#pendingPromises.get(sectionUrl);
+      const cachedHTML = useCache ? this.#getCachedHTML(sectionUrl) : undefined;
+
+      if (pendingPromise) {
+        pending.push(
+          pendingPromise.then((html) => {
+            sectionsHTML[normalizedId] = html;
+          })
+        );
+      } else if (cachedHTML) {
+        sectionsHTML[normalizedId] = cachedHTML;
+      } else {
+        missingIds.push(normalizedId);
+      }
+    }
+
+    for (let index = 0; index < missingIds.length; index += MAX_SECTIONS_PER_REQUEST) {
+      const batch = missingIds.slice(index, index + MAX_SECTIONS_PER_REQUEST);
+
+      pending.push(
+        this.#fetchSections(batch, url, signal).then((batchHTML) => {
+          Object.assign(sectionsHTML, batchHTML);
+        })
+      );
+    }
+
+    await Promise.all(pending);
+
+    return sectionsHTML;
   }
 
+  /**
+   * Fetches up to `MAX_SECTIONS_PER_REQUEST` sections in one request and caches each of them
+   * @param {string[]} sectionIds - The normalized section IDs
+   * @param {URL} url - The URL to render the sections for
+   * @param {AbortSignal} [signal] - Aborts the request
+   * @returns {Promise<Record<string, string>>} The rendered section HTML by section ID
+   */
+  async #fetchSections(sectionIds, url, signal) {
+    const sectionsUrl = new URL(url);
+    sectionsUrl.searchParams.delete('section_id');
+    sectionsUrl.searchParams.set('sections', sectionIds.join(','));
+
+    const cacheGenerations = sectionIds.map((sectionId) => this.#getCacheGeneration(sectionId));
+    const request = fetch(sectionsUrl, { signal }).then(async (response) => {
+      if (!response.ok) throw new Error(`Failed to render sections ${sectionIds.join(', ')}: ${response.status}`);
+
+      /** @type {Record<string, string | null>} */
+      const sections = await response.json();
+      /** @type {Record<string, string>} */
+      const sectionsHTML = {};
+
+      for (const sectionId of sectionIds) {
+        const sectionHTML = sections[sectionId];
+        if (typeof sectionHTML !== 'string') throw new Error(`Section ${sectionId} not found in the response`);
+
+        sectionsHTML[sectionId] = sectionHTML;
+      }
+
+      return sectionsHTML;
+    });
+
+    // Requests for single sections join the batch instead of fetching them again
+    const sectionUrls = sectionIds.map((sectionId) => buildSectionRenderingURL(sectionId, new URL(url)));
+    /** @type {Map<string, Promise<string>>} */
+    const sectionPromises = new Map();
+
+    sectionIds.forEach((sectionId, index) => {
+      const sectionPromise = request.then((sectionsHTML) => sectionsHTML[sectionId] ?? '');
+      sectionPromise.catch(() => {});
+      sectionPromises.set(sectionUrls[index] ?? '', sectionPromise);
+    });
+
+    const removePendingPromises = () => {
+      for (const [sectionUrl, sectionPromise] of sectionPromises) {
+        if (this.#pendingPromises.get(sectionUrl) === sectionPromise) this.#pendingPromises.delete(sectionUrl);
+      }
+    };
+
+    // An aborted batch is aborted by a newer render, which must fetch the sections again rather than join it
+    if (!signal?.aborted) {
+      for (const [sectionUrl, sectionPromise] of sectionPromises) this.#pendingPromises.set(sectionUrl, sectionPromise);
+      signal?.addEventListener('abort', removePendingPromises, { once: true });
+    }
+
+    try {
+      const sectionsHTML = await request;
+
+      sectionIds.forEach((sectionId, index) => {
+        if (cacheGenerations[index] !== this.#getCacheGeneration(sectionId)) return;
+
+        this.#setCachedHTML(sectionUrls[index] ?? '', sectionId, sectionsHTML[sectionId] ?? '');
+      });
+
+      return sectionsHTML;
+    } finally {
+      removePendingPromises();
+      signal?.removeEventListener('abort', removePendingPromises);
+    }
+  }
+
+  /**
+   * Fetches a section into the cache ahead of time, e.g. when the user hovers a link that renders it.
+   * Failures are ignored, the section is fetched again when it's rendered.
+   * @param {string} sectionId - The section ID
+   * @param {URL | string} url - The URL to render the section for
+   * @returns {Promise<void>}
+   */
+  async prefetchSection(sectionId, url) {
+    if (Shopify.designMode || /** @type {any} */ (navigator).connection?.saveData) return;
+
+    try {
+      await this.getSectionHTML(sectionId, true, new URL(url, window.location.origin));
+    } catch (_) {
+      // Prefetching is best effort
+    }
+  }
+
+  /**
+   * Sets how long the responses of a section are cached.
+   * @param {string} sectionId - The section ID
+   * @param {number} ttl - The time to live in milliseconds, 0 disables caching for the section
+   */
+  setCacheTTL(sectionId, ttl) {
+    this.#ttlBySectionId.set(normalizeSectionId(sectionId), ttl);
+  }
+
+  /**
+   * Removes cached responses. Requests in flight are no longer shared or cached, later requests fetch again.
+   * @param {string} [sectionId] - The section ID, all sections are removed when omitted
+   */
+  invalidate(sectionId) {
+    if (!sectionId) {
+      this.#cacheGeneration++;
+      this.#cache.clear();
+      this.#pendingPromises.clear();
+      return;
+    }
+
+    const normalizedId = normalizeSectionId(sectionId);
+    this.#cacheGenerationBySectionId.set(normalizedId, (this.#cacheGenerationBySectionId.get(normalizedId) ?? 0) + 1);
+
+    for (const [url, entry] of this.#cache) {
+      if (entry.sectionId === normalizedId) this.#cache.delete(url);
+    }
+
+    for (const url of this.#pendingPromises.keys()) {
+      if (new URL(url).searchParams.get('section_id') === normalizedId) this.#pendingPromises.delete(url);
+    }
+  }
+
+  /**
+   * Gets the cache generation of a section, responses requested in an older generation aren't cached.
+   * @param {string} sectionId - The section ID
+   * @returns {string}
+   */
+  #getCacheGeneration(sectionId) {
+    return `${this.#cacheGeneration}:${this.#cacheGenerationBySectionId.get(normalizeSectionId(sectionId)) ?? 0}`;
+  }
+
+  /**
+   * Invalidates the sections rendered with the cart of a cart update.
+   * @param {import('@theme/events').CartUpdateEvent} event
+   */
+  #handleCartUpdate = (event) => {
+    for (const sectionId of Object.keys(event.detail.data?.sections ?? {})) {
+      this.invalidate(sectionId);
+    }
+  };
+
+  #invalidateSnapshots() {
+    for (const [url, entry] of this.#cache) {
+      if (entry.snapshot) this.#cache.delete(url);
+    }
+  }
+
+  /**
+   * Gets a cached response, and marks it as the most recently used.
+   * @param {string} sectionUrl - The section rendering URL
+   * @returns {string | undefined} The section HTML
+   */
+  #getCachedHTML(sectionUrl) {
+    const entry = this.#cache.get(sectionUrl);
+    if (!entry) return;
+
+    this.#cache.delete(sectionUrl);
+    if (entry.expiresAt <= Date.now()) return;
+
+    this.#cache.set(sectionUrl, entry);
+    return entry.html;
+  }
+
+  /**
+   * Caches a response, evicting the least recently used ones over the limit.
+   * @param {string} sectionUrl - The section rendering URL
+   * @param {string} sectionId - The section ID
+   * @param {string} html - The section HTML
+   * @param {boolean} [snapshot] - Whether the HTML was captured from the page
+   */
+  #setCachedHTML(sectionUrl, sectionId, html, snapshot = false) {
+    const normalizedId = normalizeSectionId(sectionId);
+    const ttl = this.#ttlBySectionId.get(normalizedId) ?? DEFAULT_CACHE_TTL;
+
+    this.#cache.delete(sectionUrl);
+    if (ttl <= 0) return;
+
+    this.#cache.set(sectionUrl, { sectionId: normalizedId, html, expiresAt: Date.now() + ttl, snapshot });
+
+    for (const url of this.#cache.keys()) {
+      if (this.#cache.size <= MAX_CACHE_ENTRIES) break;
+      this.#cache.delete(url);
+    }
+  }
+
+  /**
+   * Prefetches the section of links marked with `data-section-prefetch` when they're hovered or focused
+   * @param {Event} event
+   */
+  #handlePrefetchIntent = (event) => {
+    if (!(event.target instanceof Element)) return;
+
+    const link = event.target.closest('a[data-section-prefetch]');
+    if (!(link instanceof HTMLAnchorElement) || !link.dataset.sectionPrefetch) return;
+
+    this.prefetchSection(link.dataset.sectionPrefetch, link.href);
+  };
+
   /**
    * Caches the page sections
    */
   #cachePageSections() {
     for (const section of document.querySelectorAll('.shopify-section')) {
       const url = buildSectionRenderingURL(section.id);
-      if (this.#cache.get(url)) return;
-      if (containsShadowRoot(section)) return;
+      if (this.#cache.has(url)) continue;
+      if (containsShadowRoot(section)) continue;
 
-      this.#cache.set(url, section.outerHTML);
+      this.#setCachedHTML(url, section.id, section.outerHTML, true);
     }
   }
 }
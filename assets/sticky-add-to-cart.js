@@ -200,9 +200,24 @@ class StickyAddToCartComponent extends Component {
     if (event.detail.data.productId !== this.dataset.productId) return;
 
     const variant = event.detail.resource;
+    const { html } = event.detail.data;
+
+    // The variant picker resolved the variant itself, only the state of the bar follows it
+    if (!html) {
+      this.dataset.variantAvailable = String(!!variant?.available);
+
+      if (variant?.id) {
+        this.dataset.currentVariantId = variant.id;
+      } else {
+        this.#handleVariantUnavailable();
+      }
+
+      this.#updateButtonText();
+      return;
+    }
 
     // Get the new sticky add to cart HTML from the server response
-    const newStickyAddToCart = event.detail.data.html.querySelector('sticky-add-to-cart');
+    const newStickyAddToCart = html.querySelector('sticky-add-to-cart');
     if (!newStickyAddToCart) return;
 
     const newStickyBar = newStickyAddToCart.querySelector('[ref="stickyBar"]');
@@ -259,6 +259,46 @@ export function formatMoney(value) {
   return valueWithNoSpaces;
 }
 
+/**
+ * Format an amount in cents with one of the shop's money formats, e.g. `{{ shop.money_format }}`
+ * @param {number} cents The amount in cents
+ * @param {string} format The money format, with an `{{amount}}` style placeholder
+ * @returns {string} The formatted amount
+ */
+export function formatCents(cents, format) {
+  const placeholder = /\{\{\s*(\w+)\s*\}\}/;
+  const match = format.match(placeholder);
+  if (!match) return format;
+
+  /**
+   * @param {number} precision
+   * @param {string} [thousands]
+   * @param {string} [decimal]
+   */
+  const withDelimiters = (precision, thousands = ',', decimal = '.') => {
+    const [whole = '0', fraction] = (cents / 100).toFixed(precision).split('.');
+    const formattedWhole = whole.replace(/\B(?=(\d{3})+(?!\d))/g, thousands);
+
+    return fraction ? `${formattedWhole}${decimal}${fraction}` : formattedWhole;
+  };
+
+  /** @type {Record<string, () => string>} */
+  const formatters = {
+    amount: () => withDelimiters(2),
+    amount_no_decimals: () => withDelimiters(0),
+    amount_with_comma_separator: () => withDelimiters(2, '.', ','),
+    amount_no_decimals_with_comma_separator: () => withDelimiters(0, '.', ','),
+    amount_with_space_separator: () => withDelimiters(2, ' ', ','),
+    amount_no_decimals_with_space_separator: () => withDelimiters(0, ' '),
+    amount_with_period_and_space_separator: () => withDelimiters(2, ' ', '.'),
+    amount_with_apostrophe_separator: () => withDelimiters(2, "'", '.'),
+  };
+
+  const formatter = formatters[match[1] ?? 'amount'] ?? formatters.amount;
+
+  return format.replace(placeholder, /** @type {() => string} */ (formatter)());
+}
+
 /**
  * Check if the document is ready/loaded and call the callback when it is.
  * @param {() => void} callback The function to call when the document is ready.
@@ -2,12 +2,32 @@ import { Component } from '@theme/component';
 import { VariantSelectedEvent, VariantUpdateEvent } from '@theme/events';
 import { morph, MORPH_OPTIONS } from '@theme/morph';
 import { yieldToMainThread, getViewParameterValue, ResizeNotifier } from '@theme/utilities';
+import { sectionRenderer } from '@theme/section-renderer';
 
 /**
  * @typedef {object} VariantPickerRefs
  * @property {HTMLFieldSetElement[]} fieldsets – The fieldset elements.
  */
 
+/**
+ * @typedef {object} ProductVariant
+ * @property {string} id - The id of the variant
+ * @property {boolean} available - Whether the variant is available
+ * @property {boolean} inventory_management - Whether the variant has inventory management
+ * @property {string[]} options - The option values of the variant, by option position
+ * @property {string} [sku] - The SKU of the variant
+ * @property {{ min: number, max: number | null, increment: number }} [quantity_rule] - The quantity rule of the variant
+ * @property {Array<{ minimum_quantity: number, price: number }>} [quantity_price_breaks] - The volume pricing
+ */
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+/**
+ * How long the variants rendered with a section are cached, in milliseconds. They show availability and are mostly
+ * prefetched while the shopper hovers the options.
+ */
+const VARIANT_CACHE_TTL = 60 * 1000;
+
 /**
  * A custom element that manages a variant picker.
  *
@@ -27,6 +47,9 @@ export default class VariantPicker extends Component {
   /** @type {HTMLInputElement[][]} */
   #radios = [];
 
+  /** @type {ProductVariant[] | null | undefined} */
+  #variants;
+
   #resizeObserver = new ResizeNotifier(() => this.updateVariantPickerCss());
 
   connectedCallback() {
@@ -44,6 +67,11 @@ export default class VariantPicker extends Component {
     });
 
     this.addEventListener('change', this.variantChanged.bind(this));
+    this.addEventListener('pointerover', this.#handlePrefetchIntent);
+    this.addEventListener('focusin', this.#handlePrefetchIntent);
+
+    const renderSectionId = this.#getRenderSectionId();
+    if (renderSectionId) sectionRenderer.setCacheTTL(renderSectionId, VARIANT_CACHE_TTL);
     this.#resizeObserver.observe(this);
   }
 
@@ -85,11 +113,16 @@ export default class VariantPicker extends Component {
       ? 'featured-product-information'
       : undefined;
 
-    this.fetchUpdatedSection(this.buildRequestUrl(selectedOption), morphElementSelector);
+    // Other products of a combined listing always come from the server
+    const variant = loadsNewProduct ? undefined : this.resolveVariant(selectedOption);
+
+    if (variant === undefined || this.#requiresServerRender(variant)) {
+      this.fetchUpdatedSection(this.buildRequestUrl(selectedOption), morphElementSelector);
+    }
 
     const url = new URL(window.location.href);
 
-    const variantId = selectedOption.dataset.variantId || null;
+    const variantId = (variant === undefined ? selectedOption.dataset.variantId : variant?.id) || null;
 
     if (isOnProductPage) {
       if (variantId) {
@@ -111,6 +144,155 @@ export default class VariantPicker extends Component {
     }
   }
 
+  /**
+   * The variants of the product, embedded when variants are switched on the client.
+   * @returns {ProductVariant[] | null}
+   */
+  get variants() {
+    if (this.#variants === undefined) {
+      const textContent = this.querySelector('script[data-variants]')?.textContent;
+      this.#variants = textContent ? JSON.parse(textContent) : null;
+    }
+
+    return this.#variants;
+  }
+
+  /**
+   * Resolves the variant of the selected options from the embedded variants and renders the states of the
+   * options for it. When the selected values don't make a variant, the other options change to the closest one.
+   * @param {HTMLElement} selectedOption - The option that was selected.
+   * @returns {ProductVariant | null | undefined} The variant, null when none has the selected value, or undefined
+   * when the variants aren't embedded.
+   */
+  resolveVariant(selectedOption) {
+    const { variants } = this;
+    if (!variants) return undefined;
+
+    // Requests of an earlier selection would override this one
+    this.#abortController?.abort();
+
+    const position = Number.parseInt(selectedOption.dataset.inputId ?? '') - 1;
+    const selectedValues = this.#getSelectedValues();
+
+    let variant = variants.find((variant) =>
+      variant.options.every((value, index) => value === selectedValues[index])
+    );
+
+    if (!variant && !Number.isNaN(position)) {
+      variant = findClosestVariant(variants, selectedValues, position);
+      if (variant) this.#selectValues(variant.options);
+    }
+
+    this.#renderOptionStates(variant ? variant.options : selectedValues);
+
+    this.dispatchEvent(
+      new VariantUpdateEvent(variant ?? null, this.selectedOptionId ?? '', { productId: this.dataset.productId ?? '' })
+    );
+
+    return variant ?? null;
+  }
+
+  /**
+   * Whether the variant still needs a server render after it was resolved on the client: quantity rules and volume
+   * pricing are rendered by the server, as are the blocks of the section that opt out of client updates.
+   * @param {ProductVariant | null} variant
+   * @returns {boolean}
+   */
+  #requiresServerRender(variant) {
+    const section = this.closest('.shopify-section, dialog');
+
+    return (
+      hasQuantityRules(variant) ||
+      !!section?.querySelector('[data-requires-variant-html], .quantity-rules, price-per-item, volume-pricing')
+    );
+  }
+
+  /**
+   * The option groups of the picker, by option position.
+   * @returns {HTMLElement[]}
+   */
+  #getOptionGroups() {
+    return Array.from(this.querySelectorAll('fieldset.variant-option, select.variant-option__select'));
+  }
+
+  /**
+   * The selected values, by option position.
+   * @returns {string[]}
+   */
+  #getSelectedValues() {
+    return this.#getOptionGroups().map((group) => {
+      if (group instanceof HTMLSelectElement) return group.value;
+
+      return group.querySelector('input:checked')?.value ?? '';
+    });
+  }
+
+  /**
+   * Selects the values of every option.
+   * @param {string[]} values - The values, by option position.
+   */
+  #selectValues(values) {
+    this.#getOptionGroups().forEach((group, index) => {
+      const value = values[index];
+
+      if (group instanceof HTMLSelectElement) {
+        if (group.value === value) return;
+
+        group.value = value ?? '';
+        this.updateSelectedOption(group);
+        return;
+      }
+
+      const input = Array.from(group.querySelectorAll('input')).find((input) => input.value === value);
+      if (input && !input.checked) this.updateSelectedOption(input);
+    });
+  }
+
+  /**
+   * Renders whether each option value is available and the variant it selects, like the server does: a value is
+   * available when an available variant has it along with the selected values of the options before it.
+   * @param {string[]} selectedValues - The selected values, by option position.
+   */
+  #renderOptionStates(selectedValues) {
+    const variants = this.variants ?? [];
+    const { unavailableText = '' } = this.dataset;
+
+    this.#getOptionGroups().forEach((group, position) => {
+      /** @type {Array<HTMLInputElement | HTMLOptionElement>} */
+      const options =
+        group instanceof HTMLSelectElement ? Array.from(group.options) : Array.from(group.querySelectorAll('input'));
+
+      for (const option of options) {
+        const { value } = option;
+        const matches = (/** @type {ProductVariant} */ variant, /** @type {number} */ index) =>
+          variant.options[index] === (index === position ? value : selectedValues[index]);
+
+        const available = variants.some(
+          (variant) =>
+            variant.available && variant.options.slice(0, position + 1).every((_, index) => matches(variant, index))
+        );
+        const variant = variants.find((variant) => variant.options.every((_, index) => matches(variant, index)));
+
+        option.dataset.optionAvailable = String(available);
+
+        if (variant) {
+          option.dataset.variantId = variant.id;
+        } else {
+          delete option.dataset.variantId;
+        }
+
+        if (option instanceof HTMLOptionElement) {
+          option.textContent = available ? value : `${value} - ${unavailableText}`;
+        } else {
+          renderButtonAvailability(option, available);
+        }
+      }
+
+      const swatchValue = group.querySelector('.variant-option__swatch-value');
+      if (swatchValue) swatchValue.textContent = selectedValues[position] ?? '';
+    });
+  }
+
   /**
    * @typedef {object} FieldsetMeasurements
    * @property {HTMLFieldSetElement} fieldset
@@ -275,7 +457,24 @@ export default class VariantPicker extends Component {
       }
     }
 
-    // If variant-picker is a child of some specific sections, we need to append section_id=xxxx to the URL
+    const renderSectionId = this.#getRenderSectionId();
+
+    if (renderSectionId) {
+      if (productUrl?.includes('?')) {
+        productUrl = productUrl.split('?')[0];
+      }
+      return `${productUrl}?section_id=${renderSectionId}&${params.join('&')}`;
+    }
+
+    return `${productUrl}?${params.join('&')}`;
+  }
+
+  /**
+   * Gets the section the variants are rendered with, when the picker is a child of some specific sections.
+   * Other pickers render the whole product page.
+   * @returns {string | undefined}
+   */
+  #getRenderSectionId() {
     const SECTION_ID_MAP = {
       'quick-add-component': 'section-rendering-product-card',
       'swatches-variant-picker-component': 'section-rendering-product-card',
@@ -286,16 +485,46 @@ export default class VariantPicker extends Component {
       Object.keys(SECTION_ID_MAP).find((sectionId) => this.closest(sectionId))
     );
 
-    if (closestSectionId) {
-      if (productUrl?.includes('?')) {
-        productUrl = productUrl.split('?')[0];
-      }
-      return `${productUrl}?section_id=${SECTION_ID_MAP[closestSectionId]}&${params.join('&')}`;
-    }
-
-    return `${productUrl}?${params.join('&')}`;
+    return closestSectionId ? SECTION_ID_MAP[closestSectionId] : undefined;
   }
 
+  /**
+   * Prefetches the render of an option when it's hovered or focused, so selecting it doesn't wait for the server.
+   * Only the variants rendered with a section, e.g. the swatches of product cards, are prefetched.
+   * @param {Event} event
+   */
+  #handlePrefetchIntent = (event) => {
+    const renderSectionId = this.#getRenderSectionId();
+    if (!renderSectionId || !(event.target instanceof Element)) return;
+
+    const input = event.target.closest('label')?.querySelector('input[type="radio"]') ?? event.target;
+    if (!(input instanceof HTMLInputElement) || input.type !== 'radio' || input.checked) return;
+
+    const { optionValueId } = input.dataset;
+    const fieldset = input.closest('fieldset');
+    if (!optionValueId || !fieldset) return;
+
+    // The values selected once the option is, in the order `selectedOptionsValues` has them
+    const selectedOptions = Array.from(this.querySelectorAll('select option[selected], fieldset input:checked'))
+      .filter((option) => option.closest('fieldset') !== fieldset)
+      .concat(input)
+      .sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+    const optionValues = selectedOptions.map((option) =>
+      option instanceof HTMLElement ? option.dataset.optionValueId ?? '' : ''
+    );
+
+    const productUrl = (input.dataset.connectedProductUrl || this.dataset.productUrl || '').split('?')[0];
+    if (!productUrl) return;
+
+    const url = new URL(productUrl, window.location.origin);
+    const viewParamValue = getViewParameterValue();
+
+    if (viewParamValue) url.searchParams.set('view', viewParamValue);
+    url.searchParams.set('option_values', optionValues.join(','));
+
+    sectionRenderer.prefetchSection(renderSectionId, url);
+  };
+
   /**
    * Fetches the updated section.
    * @param {string} requestUrl - The request URL.
@@ -306,8 +535,16 @@ export default class VariantPicker extends Component {
     this.#abortController?.abort();
     this.#abortController = new AbortController();
 
-    fetch(requestUrl, { signal: this.#abortController.signal })
-      .then((response) => response.text())
+    const { signal } = this.#abortController;
+    const url = new URL(requestUrl, window.location.origin);
+    const renderSectionId = url.searchParams.get('section_id');
+
+    // Section renders go through the section renderer, which may have prefetched them
+    const request = renderSectionId
+      ? sectionRenderer.getSectionHTML(renderSectionId, !Shopify.designMode, url, signal)
+      : fetch(requestUrl, { signal }).then((response) => response.text());
+
+    request
       .then((responseText) => {
         this.#pendingRequestUrl = undefined;
         const html = new DOMParser().parseFromString(responseText, 'text/html');
@@ -366,6 +603,9 @@ export default class VariantPicker extends Component {
       throw new Error('No new variant picker source found');
     }
 
+    // The embedded variants are parsed again from the new markup
+    this.#variants = undefined;
+
     // For combined listings, the product might have changed, so update the related data attribute.
     if (newVariantPickerSource instanceof HTMLElement) {
       const newProductId = newVariantPickerSource.dataset.productId;
@@ -483,6 +723,103 @@ export default class VariantPicker extends Component {
   }
 }
 
+/**
+ * Finds the variant closest to the selected values that keeps the value of the changed option, preferring the
+ * values of the earlier options, then available variants.
+ * @param {ProductVariant[]} variants
+ * @param {string[]} selectedValues - The selected values, by option position.
+ * @param {number} position - The position of the changed option.
+ * @returns {ProductVariant | undefined}
+ */
+function findClosestVariant(variants, selectedValues, position) {
+  /** @param {ProductVariant} variant */
+  const score = (variant) =>
+    variant.options.reduce(
+      (score, value, index) =>
+        index !== position && value === selectedValues[index] ? score + 2 ** (8 - index) : score,
+      variant.available ? 1 : 0
+    );
+
+  return variants
+    .filter((variant) => variant.options[position] === selectedValues[position])
+    .reduce(
+      (closest, variant) => (!closest || score(variant) > score(closest) ? variant : closest),
+      /** @type {ProductVariant | undefined} */ (undefined)
+    );
+}
+
+/**
+ * Whether the quantity of the variant has rules or volume pricing.
+ * @param {ProductVariant | null} variant
+ * @returns {boolean}
+ */
+function hasQuantityRules(variant) {
+  const rule = variant?.quantity_rule;
+
+  return (
+    !!variant?.quantity_price_breaks?.length || (!!rule && (rule.min > 1 || rule.max != null || rule.increment > 1))
+  );
+}
+
+/**
+ * Renders the availability of an option button: the disabled state, the strikethrough and the selection pill.
+ * @param {HTMLInputElement} input
+ * @param {boolean} available
+ */
+function renderButtonAvailability(input, available) {
+  const label = input.closest('.variant-option__button-label');
+  if (!label) return;
+
+  if (available) {
+    input.removeAttribute('aria-disabled');
+  } else {
+    input.setAttribute('aria-disabled', 'true');
+  }
+
+  const strikethrough = label.querySelector('.variant-option__strikethrough');
+  if (available) {
+    strikethrough?.remove();
+  } else if (!strikethrough) {
+    label.append(createStrikethrough());
+  }
+
+  if (label.classList.contains('variant-option__button-label--has-swatch')) return;
+
+  const pill = label.querySelector('.variant-option__button-label__pill');
+  if (!available) {
+    pill?.remove();
+  } else if (!pill) {
+    const newPill = document.createElement('span');
+    newPill.className = 'variant-option__button-label__pill';
+    newPill.dataset.key = 'variant-option-pill';
+    label.querySelector('.variant-option__button-label__text')?.before(newPill);
+  }
+}
+
+/**
+ * Creates the strikethrough of an unavailable option, like the `strikethrough-variant` snippet.
+ * @returns {SVGSVGElement}
+ */
+function createStrikethrough() {
+  const svg = document.createElementNS(SVG_NAMESPACE, 'svg');
+  svg.setAttribute('viewBox', '0 0 100 46');
+  svg.setAttribute('preserveAspectRatio', 'xMidYMid slice');
+  svg.setAttribute('class', 'variant-option__strikethrough');
+
+  // The second line is the motion overlay
+  for (let i = 0; i < 2; i++) {
+    const line = document.createElementNS(SVG_NAMESPACE, 'line');
+    line.setAttribute('x1', '100');
+    line.setAttribute('y1', '0');
+    line.setAttribute('x2', '0');
+    line.setAttribute('y2', '46');
+    line.setAttribute('vector-effect', 'non-scaling-stroke');
+    svg.append(line);
+  }
+
+  return svg;
+}
+
 if (!customElements.get('variant-picker')) {
   customElements.define('variant-picker', VariantPicker);
 }
@@ -1,18 +1,166 @@
 import { Component } from '@theme/component';
+import { ThemeEvents, QuantitySelectorUpdateEvent } from '@theme/events';
+import { formatCents } from '@theme/utilities';
+
+/**
+ * @typedef {object} VolumePricingTier
+ * @property {number} minimum_quantity - The quantity the tier starts at
+ * @property {number} price - The unit price of the tier, in cents
+ */
+
+/**
+ * @typedef {object} VolumePricing
+ * @property {number} price - The base unit price of the variant, in cents
+ * @property {VolumePricingTier[]} tiers - The price breaks of the variant
+ */
+
+/**
+ * Gets the unit price of a quantity: the price of the highest tier the quantity reaches, or the base price.
+ * @param {VolumePricing} pricing
+ * @param {number} quantity
+ * @returns {number} The unit price, in cents
+ */
+export function getVolumePrice({ price, tiers }, quantity) {
+  let unitPrice = price;
+  let reachedQuantity = 0;
+
+  for (const tier of tiers) {
+    if (quantity >= tier.minimum_quantity && tier.minimum_quantity >= reachedQuantity) {
+      unitPrice = tier.price;
+      reachedQuantity = tier.minimum_quantity;
+    }
+  }
+
+  return unitPrice;
+}
+
+/**
+ * Gets the next tier with a lower unit price than a quantity gets.
+ * @param {VolumePricing} pricing
+ * @param {number} quantity
+ * @returns {VolumePricingTier | undefined}
+ */
+export function getNextVolumeTier(pricing, quantity) {
+  const unitPrice = getVolumePrice(pricing, quantity);
+
+  return pricing.tiers
+    .filter((tier) => tier.minimum_quantity > quantity && tier.price < unitPrice)
+    .sort((a, b) => a.minimum_quantity - b.minimum_quantity)[0];
+}
 
 /**
  * Displays volume pricing table with expandable rows.
- * Shows pricing tiers based on quantity thresholds.
+ * Shows pricing tiers based on quantity thresholds, and a calculator of the unit price, total and savings of the
+ * quantity selected in the product form.
  *
- * @extends {Component}
+ * @typedef {object} Refs
+ * @property {HTMLScriptElement} [pricing] - The volume pricing of the variant
+ * @property {HTMLElement} [unitPrice] - The unit price of the selected quantity
+ * @property {HTMLElement} [total] - The total of the selected quantity
+ * @property {HTMLElement} [savings] - The savings of the selected quantity, against the base price
+ * @property {HTMLElement} [nudge] - The quantity to add to unlock the next tier
+ *
+ * @extends {Component<Refs>}
  */
 class VolumePricingComponent extends Component {
+  #controller = new AbortController();
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    const { signal } = this.#controller;
+    const productForm = this.closest('product-form-component');
+
+    productForm?.addEventListener(ThemeEvents.quantitySelectorUpdate, this.#handleQuantityUpdate, { signal });
+
+    this.#renderCalculator();
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    this.#renderCalculator();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#controller.abort();
+  }
+
   /**
    * Toggles the expanded state of the volume pricing table
    */
   toggleExpanded() {
     this.classList.toggle('volume-pricing--expanded');
   }
+
+  /**
+   * @param {QuantitySelectorUpdateEvent} event
+   */
+  #handleQuantityUpdate = (event) => {
+    // Cart lines have their own quantity selectors
+    if (event.detail.cartLine) return;
+
+    this.#renderCalculator(event.detail.quantity);
+  };
+
+  /**
+   * Gets the volume pricing of the variant.
+   * @returns {VolumePricing | undefined}
+   */
+  #getPricing() {
+    const textContent = this.refs.pricing?.textContent;
+    if (!textContent) return undefined;
+
+    try {
+      return JSON.parse(textContent);
+    } catch (_) {
+      return undefined;
+    }
+  }
+
+  /**
+   * Gets the quantity selected in the product form.
+   * @returns {number}
+   */
+  #getQuantity() {
+    const input = this.closest('product-form-component')?.querySelector('input[name="quantity"]');
+
+    return input instanceof HTMLInputElement ? parseInt(input.value, 10) || 1 : 1;
+  }
+
+  /**
+   * Renders the calculator for a quantity.
+   * @param {number} [quantity] - The quantity to price, defaults to the quantity of the product form
+   */
+  #renderCalculator(quantity = this.#getQuantity()) {
+    const { unitPrice, total, savings, nudge } = this.refs;
+    const pricing = this.#getPricing();
+    if (!pricing || !unitPrice || !total) return;
+
+    const { moneyFormat = '{{amount}}' } = this.dataset;
+    const price = getVolumePrice(pricing, quantity);
+    const saved = (pricing.price - price) * quantity;
+    const nextTier = getNextVolumeTier(pricing, quantity);
+
+    unitPrice.textContent = formatCents(price, moneyFormat);
+    total.textContent = formatCents(price * quantity, moneyFormat);
+
+    if (savings?.dataset.template) {
+      savings.hidden = saved <= 0;
+      savings.textContent = savings.dataset.template.replace('[amount]', formatCents(saved, moneyFormat));
+    }
+
+    if (nudge?.dataset.template) {
+      nudge.hidden = !nextTier;
+      nudge.textContent = nextTier
+        ? nudge.dataset.template
+            .replace('[count]', String(nextTier.minimum_quantity - quantity))
+            .replace('[price]', formatCents(nextTier.price, moneyFormat))
+        : '';
+    }
+  }
 }
 
 if (!customElements.get('volume-pricing')) {
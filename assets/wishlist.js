@@ -0,0 +1,287 @@
+import { Component } from '@theme/component';
+import { morph } from '@theme/morph';
+import { ThemeEvents, WishlistUpdateEvent } from '@theme/events';
+import { sectionRenderer } from '@theme/section-renderer';
+
+/**
+ * The file name of the section rendered with the wishlist products.
+ */
+const WISHLIST_SECTION_NAME = 'main-wishlist';
+
+/**
+ * @typedef {object} WishlistProduct
+ * @property {string} handle - The product handle
+ * @property {string} id - The product id, used to search for the product
+ */
+
+/**
+ * Stores the wishlist in localStorage, most recently added first.
+ */
+export class Wishlist {
+  /** @static @constant {string} The key used to store the wishlist in local storage */
+  static #STORAGE_KEY = 'theme:wishlist';
+
+  /**
+   * Retrieves the products in the wishlist.
+   * @returns {WishlistProduct[]}
+   */
+  static getProducts() {
+    try {
+      const products = JSON.parse(localStorage.getItem(this.#STORAGE_KEY) || '[]');
+
+      return Array.isArray(products) ? products : [];
+    } catch (_) {
+      return [];
+    }
+  }
+
+  /**
+   * @param {string} handle - The product handle
+   * @returns {boolean}
+   */
+  static has(handle) {
+    return this.getProducts().some((product) => product.handle === handle);
+  }
+
+  /**
+   * Adds a product to the wishlist, or removes it if it's already there.
+   * @param {WishlistProduct} product
+   * @returns {boolean} Whether the product was added
+   */
+  static toggle(product) {
+    const products = this.getProducts();
+    const added = !products.some(({ handle }) => handle === product.handle);
+
+    this.#setProducts(
+      added ? [product, ...products] : products.filter(({ handle }) => handle !== product.handle),
+      { handle: product.handle, added }
+    );
+
+    return added;
+  }
+
+  /**
+   * Removes a product from the wishlist.
+   * @param {string} handle - The product handle
+   */
+  static remove(handle) {
+    this.#setProducts(
+      this.getProducts().filter((product) => product.handle !== handle),
+      { handle, added: false }
+    );
+  }
+
+  /**
+   * Whether a storage event is about the wishlist.
+   * @param {StorageEvent} event
+   * @returns {boolean}
+   */
+  static isStorageEvent(event) {
+    return event.key === this.#STORAGE_KEY;
+  }
+
+  /**
+   * @param {WishlistProduct[]} products
+   * @param {{handle: string, added: boolean}} data
+   */
+  static #setProducts(products, data) {
+    try {
+      localStorage.setItem(this.#STORAGE_KEY, JSON.stringify(products));
+    } catch (_) {
+      // Storage may be full or disabled
+    }
+
+    document.dispatchEvent(new WishlistUpdateEvent(products, data));
+  }
+}
+
+// Keep every tab in sync, the event isn't fired in the tab that changed the wishlist
+window.addEventListener('storage', (event) => {
+  if (Wishlist.isStorageEvent(event)) document.dispatchEvent(new WishlistUpdateEvent(Wishlist.getProducts()));
+});
+
+/**
+ * A custom element that toggles a product in the wishlist.
+ *
+ * @typedef {object} WishlistButtonRefs
+ * @property {HTMLButtonElement} button - The toggle button.
+ *
+ * @extends {Component<WishlistButtonRefs>}
+ */
+class WishlistButton extends Component {
+  requiredRefs = ['button'];
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.wishlistUpdate, this.#update);
+    this.#update();
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    this.#update();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.wishlistUpdate, this.#update);
+  }
+
+  /**
+   * Adds the product to the wishlist, or removes it.
+   * @param {Event} event
+   */
+  toggle(event) {
+    event.preventDefault();
+
+    const { productHandle, productId } = this.dataset;
+    if (!productHandle || !productId) return;
+
+    Wishlist.toggle({ handle: productHandle, id: productId });
+  }
+
+  #update = () => {
+    const { button } = this.refs;
+    const { productHandle = '', addLabel, removeLabel } = this.dataset;
+    const saved = Wishlist.has(productHandle);
+
+    button.setAttribute('aria-pressed', String(saved));
+
+    const label = saved ? removeLabel : addLabel;
+    if (label) button.setAttribute('aria-label', label);
+  };
+}
+
+if (!customElements.get('wishlist-button')) {
+  customElements.define('wishlist-button', WishlistButton);
+}
+
+/**
+ * A custom element that displays the number of products in the wishlist.
+ *
+ * @typedef {object} WishlistCountRefs
+ * @property {HTMLElement} count - The count element.
+ *
+ * @extends {Component<WishlistCountRefs>}
+ */
+class WishlistCount extends Component {
+  requiredRefs = ['count'];
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.wishlistUpdate, this.#update);
+    this.#update();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.wishlistUpdate, this.#update);
+  }
+
+  #update = () => {
+    const count = Wishlist.getProducts().length;
+
+    this.refs.count.textContent = String(count);
+    this.refs.count.hidden = count === 0;
+  };
+}
+
+if (!customElements.get('wishlist-count')) {
+  customElements.define('wishlist-count', WishlistCount);
+}
+
+/**
+ * A custom element that renders the products in the wishlist.
+ *
+ * The section is rendered a second time on the search page, searching for the saved product ids, the
+ * same way the predictive search renders the recently viewed products. The search template doesn't hold the
+ * section, so it's rendered by its file name.
+ *
+ * @typedef {object} WishlistProductsRefs
+ * @property {HTMLElement} grid - The product grid, with an item per product marked with `data-product-handle`.
+ * @property {HTMLElement} emptyState - The message shown when the wishlist is empty.
+ * @property {HTMLElement} errorState - The message shown when the wishlist products can't be loaded.
+ *
+ * @extends {Component<WishlistProductsRefs>}
+ */
+class WishlistProductsComponent extends Component {
+  requiredRefs = ['grid', 'emptyState', 'errorState'];
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.wishlistUpdate, this.#render);
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.wishlistUpdate, this.#render);
+  }
+
+  #render = async () => {
+    const { grid, emptyState, errorState } = this.refs;
+    const products = Wishlist.getProducts();
+    const handles = products.map(({ handle }) => handle);
+    const renderedHandles = [...grid.querySelectorAll('[data-product-handle]')].map(
+      (item) => item.getAttribute('data-product-handle') ?? ''
+    );
+
+    emptyState.hidden = products.length > 0;
+    errorState.hidden = true;
+
+    // Removing products doesn't need a new search
+    if (handles.every((handle) => renderedHandles.includes(handle))) {
+      for (const item of grid.querySelectorAll('[data-product-handle]')) {
+        if (!handles.includes(item.getAttribute('data-product-handle') ?? '')) item.remove();
+      }
+      return;
+    }
+
+    try {
+      const markup = await this.#getProductsMarkup(products);
+      const html = new DOMParser().parseFromString(markup, 'text/html');
+      const newGrid = html.querySelector('.wishlist__grid');
+      if (!newGrid) throw new Error('Wishlist grid missing');
+
+      // Search results are sorted by relevance, show the most recently saved products first
+      const items = [...newGrid.querySelectorAll('[data-product-handle]')];
+      items.sort(
+        (a, b) =>
+          handles.indexOf(a.getAttribute('data-product-handle') ?? '') -
+          handles.indexOf(b.getAttribute('data-product-handle') ?? '')
+      );
+      newGrid.replaceChildren(...items);
+      // Rendered on its own, the section has another id than the one on the page
+      newGrid.id = grid.id;
+
+      morph(grid, newGrid);
+    } catch (_) {
+      // Keep the products already shown and explain why the others are missing
+      errorState.hidden = false;
+    }
+  };
+
+  /**
+   * Fetches the markup of the section rendered with the wishlist products.
+   * @param {WishlistProduct[]} products
+   * @returns {Promise<string>}
+   */
+  #getProductsMarkup(products) {
+    const url = new URL(Theme.routes.search_url, location.origin);
+    url.searchParams.set('q', products.map(({ id }) => `id:${id}`).join(' OR '));
+    url.searchParams.set('type', 'product');
+
+    return sectionRenderer.getSectionHTML(WISHLIST_SECTION_NAME, false, url);
+  }
+}
+
+if (!customElements.get('wishlist-products-component')) {
+  customElements.define('wishlist-products-component', WishlistProductsComponent);
+}
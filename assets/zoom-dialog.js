@@ -11,6 +11,13 @@ import {
 import { scrollIntoView } from '@theme/scrolling';
 import { ZoomMediaSelectedEvent } from '@theme/events';
 import { DialogCloseEvent } from '@theme/dialog';
+import { DragZoomWrapper } from '@theme/drag-zoom-wrapper';
+
+/** How much the keyboard zooms in or out per key press */
+const KEYBOARD_ZOOM_FACTOR = 1.5;
+/** How far the arrow keys pan a zoomed image, in pixels */
+const KEYBOARD_PAN_STEP = 50;
+
 /**
  * A custom element that renders a zoom dialog.
  *
@@ -26,6 +33,9 @@ export class ZoomDialog extends Component {
 
   #highResImagesLoaded = /** @type {Set<string>} */ (new Set());
 
+  /** The index of the media in view */
+  #activeIndex = 0;
+
   connectedCallback() {
     super.connectedCallback();
     this.refs.dialog.addEventListener('scroll', this.handleScroll);
@@ -49,6 +59,8 @@ export class ZoomDialog extends Component {
     const targetImage = media[index];
     const targetThumbnail = thumbnails.children[index];
 
+    this.#setActiveIndex(index);
+
     const open = () => {
       dialog.showModal();
 
@@ -122,10 +134,33 @@ export class ZoomDialog extends Component {
       button.setAttribute('aria-selected', `${i === activeIndex}`);
     });
 
+    this.#setActiveIndex(activeIndex);
     this.#loadHighResolutionImage(mostVisibleElement);
     this.dispatchEvent(new ZoomMediaSelectedEvent(activeIndex));
   }, 50);
 
+  /**
+   * Tracks the media in view, zooming the previous one back out.
+   * @param {number} index - The index of the media in view.
+   */
+  #setActiveIndex(index) {
+    if (index === this.#activeIndex) return;
+
+    this.#getZoomWrapper(this.#activeIndex)?.reset();
+    this.#activeIndex = index;
+  }
+
+  /**
+   * Gets the zoom wrapper of an image.
+   * @param {number} index - The index of the media.
+   * @returns {DragZoomWrapper | undefined} The zoom wrapper, if the media is an image.
+   */
+  #getZoomWrapper(index) {
+    const wrapper = this.refs.media[index]?.querySelector('drag-zoom-wrapper');
+
+    return wrapper instanceof DragZoomWrapper ? wrapper : undefined;
+  }
+
   /**
    * Closes the zoom dialog.
    */
@@ -169,20 +204,49 @@ export class ZoomDialog extends Component {
 
   closeDialog() {
     const { dialog } = this.refs;
+    this.#getZoomWrapper(this.#activeIndex)?.reset();
     dialog.close();
     window.dispatchEvent(new DialogCloseEvent());
   }
 
   /**
-   * Closes the dialog when the user presses the escape key.
+   * Closes the dialog when the user presses the escape key. Zooms the image in view with + and -, resets it with 0
+   * and pans it with the arrow keys while zoomed.
    *
    * @param {KeyboardEvent} event - The keyboard event.
    */
   handleKeyDown(event) {
-    if (event.key !== 'Escape') return;
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      this.close();
+      return;
+    }
+
+    const wrapper = this.#getZoomWrapper(this.#activeIndex);
+    if (!wrapper || event.metaKey || event.ctrlKey || event.altKey) return;
+
+    /** @type {Record<string, () => void>} */
+    const actions = {
+      '+': () => wrapper.zoomBy(KEYBOARD_ZOOM_FACTOR),
+      '=': () => wrapper.zoomBy(KEYBOARD_ZOOM_FACTOR),
+      '-': () => wrapper.zoomBy(1 / KEYBOARD_ZOOM_FACTOR),
+      0: () => wrapper.reset(),
+    };
+
+    if (wrapper.zoomed) {
+      Object.assign(actions, {
+        ArrowLeft: () => wrapper.panBy(KEYBOARD_PAN_STEP, 0),
+        ArrowRight: () => wrapper.panBy(-KEYBOARD_PAN_STEP, 0),
+        ArrowUp: () => wrapper.panBy(0, KEYBOARD_PAN_STEP),
+        ArrowDown: () => wrapper.panBy(0, -KEYBOARD_PAN_STEP),
+      });
+    }
+
+    const action = actions[event.key];
+    if (!action) return;
 
     event.preventDefault();
-    this.close();
+    action();
   }
 
   /**
@@ -226,6 +290,8 @@ export class ZoomDialog extends Component {
       button.setAttribute('aria-selected', `${i === index}`);
     });
 
+    this.#setActiveIndex(index);
+
     scrollIntoView(targetThumbnail, {
       ancestor: thumbnails,
       behavior: options.behavior,